@@ -6,11 +6,40 @@ const GridFSBucket = require("mongodb").GridFSBucket;
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const nodemailer = require("nodemailer");
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+const crypto = require("crypto");
+const net = require("net");
+const os = require("os");
 require("dotenv").config();
 
 const app = express();
 
 // Middleware
+// Behind a reverse proxy, TRUST_PROXY (a hop count, "loopback" or addresses)
+// makes req.ip the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    trustProxy === "true" || /^\d+$/.test(trustProxy)
+      ? JSON.parse(trustProxy)
+      : trustProxy
+  );
+} else {
+  // Without it every client behind a proxy shares the proxy's address, and
+  // so the per-IP request limit
+  let warnedAboutProxy = false;
+  app.use((req, res, next) => {
+    if (!warnedAboutProxy && req.headers["x-forwarded-for"]) {
+      warnedAboutProxy = true;
+      console.warn(
+        "Requests are arriving through a proxy but TRUST_PROXY is not set; all clients will share one per-IP request limit"
+      );
+    }
+    next();
+  });
+}
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -27,76 +56,634 @@ mongoose.connect(
 const db = mongoose.connection;
 let gfsBucket;
 
-db.once("open", () => {
+db.once("open", async () => {
   console.log("Connected to MongoDB");
   gfsBucket = new GridFSBucket(db.db, { bucketName: "uploads" });
+
+  migrateUserAccounts();
+  refreshDonorEligibility();
+  clearPrivateDeliveryBodies();
+  migrateRequesterFields();
+
+  // Stock written before facilities existed must be moved before it is read,
+  // and opening balances written before the expiry sweep adds to the ledger
+  await migrateToFacilities();
+  await migrateRequestReports();
+  await recordOpeningBalances();
+
+  // Expiry sweeps, delivery retries, call-out waves, digests and reminders
+  startJobScheduler();
 });
 
+// Constants
+const BLOOD_TYPES = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+const BAG_STATUSES = [
+  "quarantined",
+  "available",
+  "reserved",
+  "issued",
+  "expired",
+  "discarded",
+  "separated",
+  "in_transit",
+];
+// Which status a bag may move to from its current one
+const BAG_STATUS_TRANSITIONS = {
+  quarantined: ["available", "discarded", "separated"],
+  available: ["issued", "expired", "discarded", "separated"],
+  reserved: [], // Only moved by the request workflow
+  issued: [],
+  expired: ["discarded"],
+  discarded: [],
+  separated: [],
+  in_transit: [], // Only moved by the transfer workflow
+};
+const COMPONENT_TYPES = ["whole_blood", "prbc", "plasma", "platelets"];
+// Shelf life per component, counted from the collection date
+const COMPONENT_SHELF_LIFE_DAYS = {
+  whole_blood: 35,
+  prbc: 42,
+  plasma: 365, // frozen
+  platelets: 5,
+};
+// Donor blood types each recipient can receive red cells from, in order of
+// preference (exact match first, O- last)
+const RED_CELL_COMPATIBILITY = {
+  "O-": ["O-"],
+  "O+": ["O+", "O-"],
+  "A-": ["A-", "O-"],
+  "A+": ["A+", "A-", "O+", "O-"],
+  "B-": ["B-", "O-"],
+  "B+": ["B+", "B-", "O+", "O-"],
+  "AB-": ["AB-", "A-", "B-", "O-"],
+  "AB+": ["AB+", "AB-", "A+", "A-", "B+", "B-", "O+", "O-"],
+};
+// Plasma works the other way round: AB plasma can be given to anyone
+const PLASMA_COMPATIBILITY = {
+  "O-": ["O-", "O+", "A-", "A+", "B-", "B+", "AB-", "AB+"],
+  "O+": ["O+", "O-", "A+", "A-", "B+", "B-", "AB+", "AB-"],
+  "A-": ["A-", "A+", "AB-", "AB+"],
+  "A+": ["A+", "A-", "AB+", "AB-"],
+  "B-": ["B-", "B+", "AB-", "AB+"],
+  "B+": ["B+", "B-", "AB+", "AB-"],
+  "AB-": ["AB-", "AB+"],
+  "AB+": ["AB+", "AB-"],
+};
+// Whole blood carries the donor's plasma as well as red cells, so it must be
+// ABO-identical; Rh-negative blood can still go to Rh-positive patients
+const WHOLE_BLOOD_COMPATIBILITY = {
+  "O-": ["O-"],
+  "O+": ["O+", "O-"],
+  "A-": ["A-"],
+  "A+": ["A+", "A-"],
+  "B-": ["B-"],
+  "B+": ["B+", "B-"],
+  "AB-": ["AB-"],
+  "AB+": ["AB+", "AB-"],
+};
+const DONATION_TYPES = ["whole_blood", "platelets", "plasma"];
+const LOCATION_TYPES = ["camp", "hospital"];
+const SCREENING_RESULTS = ["pending", "passed", "failed"];
+const DEFERRAL_TYPES = ["temporary", "permanent"];
+const GENDERS = ["Male", "Female", "Other"];
+const FACILITY_TYPES = ["blood_bank", "partner_bank", "hospital_storage"];
+const TRANSFER_STATUSES = ["requested", "dispatched", "received", "cancelled"];
+const CAMP_STATUSES = ["planned", "announced", "completed", "cancelled"];
+const DELIVERY_STATUSES = ["pending", "sent", "retrying", "failed"];
+// Minimum days between donations, by the type of the previous donation
+const ELIGIBILITY_RULES = {
+  whole_blood: parseInt(process.env.WHOLE_BLOOD_DONATION_INTERVAL_DAYS) || 90,
+  platelets: parseInt(process.env.PLATELET_DONATION_INTERVAL_DAYS) || 14,
+  plasma: parseInt(process.env.PLASMA_DONATION_INTERVAL_DAYS) || 28,
+};
+// Staff roles work in the blood bank; donors and users only reach their own
+// data
+const STAFF_ROLES = [
+  "super_admin",
+  "inventory_manager",
+  "request_reviewer",
+  "camp_coordinator",
+  "auditor",
+];
+const USER_ROLES = [...STAFF_ROLES, "donor", "user"];
+const PERMISSIONS = [
+  "inventory:read",
+  "inventory:write",
+  "facilities:write",
+  "transfers:read",
+  "transfers:write",
+  "donors:read",
+  "donors:write",
+  "requests:read",
+  "requests:review",
+  "camps:read",
+  "camps:write",
+  "notifications:read",
+  "notifications:write",
+  "dashboard:read",
+  "users:read",
+  "users:write",
+  "jobs:read",
+  "jobs:write",
+];
+// What each staff role may do, checked per route by requirePermission
+const ROLE_PERMISSIONS = {
+  super_admin: PERMISSIONS,
+  inventory_manager: [
+    "inventory:read",
+    "inventory:write",
+    "facilities:write",
+    "transfers:read",
+    "transfers:write",
+    "donors:read",
+    "donors:write",
+    "requests:read",
+    "notifications:read",
+    "dashboard:read",
+  ],
+  request_reviewer: [
+    "inventory:read",
+    "transfers:read",
+    "donors:read",
+    "requests:read",
+    "requests:review",
+    "notifications:read",
+    "dashboard:read",
+  ],
+  camp_coordinator: [
+    "inventory:read",
+    "donors:read",
+    "donors:write",
+    "camps:read",
+    "camps:write",
+    "dashboard:read",
+  ],
+  auditor: PERMISSIONS.filter((permission) => permission.endsWith(":read")),
+};
+// Tokens are never signed with a known default. Without JWT_SECRET a random
+// secret is used, which signs everyone out on restart.
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === "production") {
+  console.error("JWT_SECRET must be set in production");
+  process.exit(1);
+}
+const JWT_SECRET =
+  process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+const ACCESS_TOKEN_TTL_MINUTES =
+  parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES) || 15;
+const PASSWORD_RESET_TTL_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS =
+  parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const REQUIRE_EMAIL_VERIFICATION =
+  process.env.REQUIRE_EMAIL_VERIFICATION !== "false";
+const MIN_PASSWORD_LENGTH = 8;
+// Templates whose text holds a link that acts for the recipient: account
+// tokens, call-out answers and request tracking
+const PRIVATE_TEMPLATES = [
+  "verify_email",
+  "password_reset",
+  "staff_invitation",
+  "callout",
+  "request_received",
+  "request_status",
+];
+const INVITATION_EXPIRY_HOURS =
+  parseInt(process.env.INVITATION_EXPIRY_HOURS) || 72;
+const INVENTORY_TRANSACTION_REASONS = [
+  "donation",
+  "issue",
+  "discard",
+  "manual_adjustment",
+  "transfer",
+  "expiry",
+  "separation",
+  "reservation",
+];
+const REQUEST_STATUSES = [
+  "pending",
+  "approved",
+  "fulfilled",
+  "rejected",
+  "cancelled",
+];
+// Which status a request may move to from its current one
+const REQUEST_STATUS_TRANSITIONS = {
+  pending: ["approved", "rejected", "cancelled"],
+  approved: ["fulfilled", "cancelled"],
+  fulfilled: [],
+  rejected: [],
+  cancelled: [],
+};
+const NOTIFICATION_TYPES = [
+  "emergency_request",
+  "low_stock",
+  "donation_needed",
+  "stock_digest",
+  "stale_request",
+];
+// in_app: shows in the inbox, push: sent over the real-time stream
+const NOTIFICATION_CHANNELS = ["in_app", "push", "email", "sms"];
+// Screening of public request submissions
+const REQUEST_FLAG_STATUSES = ["open", "merged", "dismissed"];
+const DUPLICATE_REQUEST_WINDOW_HOURS =
+  parseInt(process.env.DUPLICATE_REQUEST_WINDOW_HOURS) || 72;
+const REQUEST_LIMIT_WINDOW_HOURS =
+  parseInt(process.env.REQUEST_LIMIT_WINDOW_HOURS) || 24;
+const MAX_REQUESTS_PER_REQUESTER =
+  parseInt(process.env.MAX_REQUESTS_PER_REQUESTER) || 3;
+const MAX_REQUESTS_PER_IP = parseInt(process.env.MAX_REQUESTS_PER_IP) || 10;
+const RESERVATION_WINDOW_HOURS =
+  parseInt(process.env.RESERVATION_WINDOW_HOURS) || 24;
+const EXPIRY_SWEEP_INTERVAL_MINUTES =
+  parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES) || 60;
+const DELIVERY_RETRY_INTERVAL_MINUTES =
+  parseInt(process.env.DELIVERY_RETRY_INTERVAL_MINUTES) || 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Scheduled jobs
+const JOB_POLL_INTERVAL_SECONDS = 30;
+// A lock that is not renewed for this long belongs to an instance that died
+const JOB_LOCK_MINUTES = parseInt(process.env.JOB_LOCK_MINUTES) || 15;
+const JOB_HISTORY_LENGTH = 20; // Runs kept per job
+const JOB_RUN_STATUSES = ["succeeded", "failed"];
+const STALE_REQUEST_HOURS = parseInt(process.env.STALE_REQUEST_HOURS) || 24;
+const STALE_EMERGENCY_REQUEST_HOURS =
+  parseInt(process.env.STALE_EMERGENCY_REQUEST_HOURS) || 2;
+const ELIGIBILITY_REMINDER_WINDOW_DAYS = 7;
+// Request validation limits
+const MAX_PAGE_SIZE = 100;
+const MAX_STRING_LENGTH = 5000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_UPLOAD_MB = 5;
+const MAX_REPORT_FILES = 5;
+// Analytics periods, as $dateToString formats (UTC; weeks are ISO weeks)
+const ANALYTICS_PERIOD_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+  year: "%Y",
+};
+const ANALYTICS_DEFAULT_DAYS = 90;
+// Demand forecasting
+const FORECAST_HISTORY_DAYS = parseInt(process.env.FORECAST_HISTORY_DAYS) || 56;
+const FORECAST_HORIZON_DAYS = 14;
+const FORECAST_SMOOTHING = 0.3; // Weight of each new day in the smoothed level
+const REORDER_COVER_DAYS = parseInt(process.env.REORDER_COVER_DAYS) || 7;
+const DRIVE_ALERT_DAYS = parseInt(process.env.DRIVE_ALERT_DAYS) || 5;
+const MIN_LOW_STOCK_THRESHOLD = 2;
+const DIGEST_HOUR_UTC = parseInt(process.env.DIGEST_HOUR_UTC ?? 6);
+// Bulk import and export
+const EXPORT_FORMATS = ["csv", "xlsx"];
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_PREVIEW_ROWS = 20; // Valid rows shown by a dry run
+// Donor search: sortable fields and their types ("-name" sorts descending)
+const DONOR_SEARCH_SORT_FIELDS = {
+  registeredAt: "date",
+  lastDonationDate: "date",
+  nextEligibleDate: "date",
+  name: "string",
+  rollNumber: "string",
+  branch: "string",
+};
+const DONOR_SEARCH_SORTS = Object.keys(DONOR_SEARCH_SORT_FIELDS).flatMap(
+  (field) => [field, `-${field}`]
+);
+// Names sort and compare ignoring case
+const DONOR_SEARCH_COLLATION = { locale: "en", strength: 2 };
+// Printable documents
+const GENERATED_DOCUMENT_KINDS = [
+  "issue_slip",
+  "donation_certificate",
+  "monthly_report",
+];
+const BLOOD_BANK_NAME = process.env.BLOOD_BANK_NAME || "Blood Bank";
+// Labels for files attached to a blood request
+const DOCUMENT_TYPES = [
+  "hospital_report",
+  "prescription",
+  "lab_result",
+  "id_proof",
+  "other",
+];
+// Report uploads are recognised by their first bytes, not the Content-Type
+// the client sends
+const REPORT_FILE_SIGNATURES = [
+  { contentType: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { contentType: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a] },
+  { contentType: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { contentType: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+];
+// none, signature (built-in EICAR check) or clamd
+const FILE_SCANNER = process.env.FILE_SCANNER || "signature";
+
 // GridFS Storage for file uploads
+// Files are held in memory until checkReportFiles has looked at their
+// contents, so the client's Content-Type is not trusted
 const storage = multer.memoryStorage();
 const upload = multer({
   storage,
-  fileFilter: (req, file, cb) => {
-    // Accept images and PDFs only
-    if (
-      file.mimetype.startsWith("image/") ||
-      file.mimetype === "application/pdf"
-    ) {
-      cb(null, true);
-    } else {
-      cb(new Error("Only images and PDF files are allowed!"), false);
-    }
-  },
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
+    fileSize: MAX_UPLOAD_MB * 1024 * 1024,
   },
 });
 
 // User Schema
 const userSchema = new mongoose.Schema({
-  email: { type: String, required: true, unique: true },
+  // Lowercased, in queries too, so an address matches however it is typed
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
   password: { type: String, required: true },
-  role: { type: String, enum: ["admin", "user"], default: "user" },
+  role: { type: String, enum: USER_ROLES, default: "user" },
+  isActive: { type: Boolean, default: true }, // Disabled users cannot log in
+  disabledAt: { type: Date },
+  disabledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // Account security
+  emailVerified: { type: Boolean, default: false },
+  emailVerificationTokenHash: { type: String },
+  emailVerificationExpiresAt: { type: Date },
+  passwordResetTokenHash: { type: String },
+  passwordResetExpiresAt: { type: Date },
+  passwordChangedAt: { type: Date },
+  tokenVersion: { type: Number, default: 0 }, // Bumped to revoke every access token
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date },
+  // Donor profile of a donor account
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Donor",
+    unique: true,
+    sparse: true,
+  },
+  phone: { type: String }, // For SMS notifications
+  // Channels each notification type is received on
+  notificationPreferences: {
+    emergency_request: {
+      type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+      default: ["in_app", "push", "email"],
+    },
+    low_stock: {
+      type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+      default: ["in_app", "push", "email"],
+    },
+    donation_needed: {
+      type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+      default: ["in_app", "push"],
+    },
+    stock_digest: {
+      type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+      default: ["in_app", "email"],
+    },
+    stale_request: {
+      type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+      default: ["in_app", "push", "email"],
+    },
+  },
   createdAt: { type: Date, default: Date.now },
 });
 
 // Donor Schema (Blood Ally Registration)
-const donorSchema = new mongoose.Schema({
+const donorSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    branch: { type: String, required: true },
+    rollNumber: { type: String, required: true, unique: true },
+    bloodGroup: {
+      type: String,
+      required: true,
+      enum: BLOOD_TYPES,
+    },
+    contactInfo: { type: String, required: true },
+    isAvailable: { type: Boolean, default: true },
+    lastDonationDate: { type: Date },
+    donationHistory: [
+      {
+        date: { type: Date, default: Date.now },
+        donationType: {
+          type: String,
+          enum: DONATION_TYPES,
+          default: "whole_blood",
+        },
+        locationType: { type: String, enum: LOCATION_TYPES },
+        location: String,
+        camp: { type: mongoose.Schema.Types.ObjectId, ref: "DonationCamp" },
+        units: Number,
+        volumeMl: Number,
+        screeningResult: {
+          type: String,
+          enum: SCREENING_RESULTS,
+          default: "pending",
+        },
+        bags: [{ type: mongoose.Schema.Types.ObjectId, ref: "BloodBag" }],
+        recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        // Set when a donation entered by mistake is reversed
+        reversedAt: { type: Date },
+        reversedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reversalReason: { type: String },
+      },
+    ],
+    deferrals: [
+      {
+        type: {
+          type: String,
+          enum: DEFERRAL_TYPES,
+          required: true,
+        },
+        reason: { type: String, required: true },
+        startDate: { type: Date, default: Date.now },
+        endDate: { type: Date }, // Required for temporary deferrals
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        liftedAt: { type: Date },
+      },
+    ],
+    // How donors have answered emergency call-outs
+    calloutStats: {
+      contacted: { type: Number, default: 0 },
+      responded: { type: Number, default: 0 },
+      accepted: { type: Number, default: 0 },
+    },
+    // Kept up to date on save from donationHistory and deferrals
+    nextEligibleDate: { type: Date, default: null },
+    isPermanentlyDeferred: { type: Boolean, default: false },
+    // The nextEligibleDate the donor was last reminded about
+    eligibilityReminderFor: { type: Date },
+    registeredAt: { type: Date, default: Date.now },
+  },
+  { toJSON: { virtuals: true }, toObject: { virtuals: true }, id: false }
+);
+
+donorSchema.virtual("eligible").get(function () {
+  return (
+    !this.isPermanentlyDeferred &&
+    (!this.nextEligibleDate || this.nextEligibleDate <= new Date())
+  );
+});
+
+donorSchema.index({ "donationHistory.date": 1 });
+
+donorSchema.pre("save", function (next) {
+  const eligibility = calculateEligibility(this);
+  this.nextEligibleDate = eligibility.nextEligibleDate;
+  this.isPermanentlyDeferred = eligibility.permanentlyDeferred;
+  next();
+});
+
+// Facility Schema (blood banks and hospital storage units we hold stock at)
+const facilitySchema = new mongoose.Schema({
   name: { type: String, required: true },
-  branch: { type: String, required: true },
-  rollNumber: { type: String, required: true, unique: true },
-  bloodGroup: {
+  code: { type: String, required: true, unique: true, uppercase: true },
+  type: {
     type: String,
-    required: true,
-    enum: ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"],
+    enum: FACILITY_TYPES,
+    default: "partner_bank",
   },
-  contactInfo: { type: String, required: true },
-  isAvailable: { type: Boolean, default: true },
-  lastDonationDate: { type: Date },
-  donationHistory: [
-    {
-      date: { type: Date, default: Date.now },
-      location: String,
-      units: Number,
-    },
-  ],
-  registeredAt: { type: Date, default: Date.now },
+  address: { type: String },
+  contactInfo: { type: String },
+  isDefault: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
 });
 
-// Blood Inventory Schema
+// Blood Inventory Schema (one row per facility and blood type)
 const bloodInventorySchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Facility",
+    required: true,
+  },
   bloodType: {
     type: String,
     required: true,
-    enum: ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"],
-    unique: true,
+    enum: BLOOD_TYPES,
   },
   unitsAvailable: { type: Number, default: 0 },
   donorCount: { type: Number, default: 0 },
   lowStockThreshold: { type: Number, default: 10 },
+  // Set when a low-stock alert is sent; cleared when stock recovers
+  lowStockAlertedAt: { type: Date, default: null },
   lastUpdated: { type: Date, default: Date.now },
 });
 
+bloodInventorySchema.index({ facility: 1, bloodType: 1 }, { unique: true });
+
+// Blood Bag Schema (one document per physical unit)
+const bloodBagSchema = new mongoose.Schema({
+  bagId: { type: String, required: true, unique: true },
+  bloodType: { type: String, required: true, enum: BLOOD_TYPES },
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Facility",
+    required: true,
+  },
+  donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor" },
+  componentType: {
+    type: String,
+    enum: COMPONENT_TYPES,
+    default: "whole_blood",
+  },
+  parentBag: { type: mongoose.Schema.Types.ObjectId, ref: "BloodBag" }, // Whole-blood unit this component was separated from
+  collectionDate: { type: Date, required: true, default: Date.now },
+  expiryDate: { type: Date, required: true },
+  storageLocation: { type: String },
+  status: { type: String, enum: BAG_STATUSES, default: "quarantined" },
+  issuedTo: { type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest" },
+  reservedFor: { type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest" },
+  reservedUntil: { type: Date },
+  notes: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+bloodBagSchema.index({ bloodType: 1, status: 1, expiryDate: 1 });
+bloodBagSchema.index({ facility: 1, status: 1 });
+
+// Inventory Transaction Schema (append-only ledger of available stock)
+const inventoryTransactionSchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Facility",
+    required: true,
+  },
+  bloodType: { type: String, required: true, enum: BLOOD_TYPES },
+  componentType: { type: String, required: true, enum: COMPONENT_TYPES },
+  delta: { type: Number, required: true },
+  reason: { type: String, required: true, enum: INVENTORY_TRANSACTION_REASONS },
+  bags: [{ type: mongoose.Schema.Types.ObjectId, ref: "BloodBag" }],
+  relatedRequest: { type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest" },
+  relatedDonor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor" },
+  relatedTransfer: { type: mongoose.Schema.Types.ObjectId, ref: "Transfer" },
+  performedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Empty for automatic jobs
+  performedByEmail: { type: String },
+  notes: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+inventoryTransactionSchema.index({ bloodType: 1, createdAt: -1 });
+inventoryTransactionSchema.index({ reason: 1, createdAt: -1 });
+
+// Ledger entries are never changed or removed once written
+inventoryTransactionSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error("Inventory transactions are append-only"));
+  }
+);
+
+// Transfer Schema (moving bags between facilities)
+const transferSchema = new mongoose.Schema({
+  fromFacility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Facility",
+    required: true,
+  },
+  toFacility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Facility",
+    required: true,
+  },
+  items: [
+    {
+      bloodType: { type: String, enum: BLOOD_TYPES, required: true },
+      componentType: {
+        type: String,
+        enum: COMPONENT_TYPES,
+        default: "whole_blood",
+      },
+      units: { type: Number, required: true, min: 1 },
+    },
+  ],
+  bags: [{ type: mongoose.Schema.Types.ObjectId, ref: "BloodBag" }], // Chosen on dispatch
+  status: {
+    type: String,
+    enum: TRANSFER_STATUSES,
+    default: "requested",
+  },
+  notes: { type: String },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  requestedAt: { type: Date, default: Date.now },
+  dispatchedAt: { type: Date },
+  receivedAt: { type: Date },
+  cancelledAt: { type: Date },
+});
+
 // Blood Request Schema
 const bloodRequestSchema = new mongoose.Schema({
   // Patient Information
@@ -105,9 +692,14 @@ const bloodRequestSchema = new mongoose.Schema({
   bloodTypeNeeded: {
     type: String,
     required: true,
-    enum: ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"],
+    enum: BLOOD_TYPES,
+  },
+  gender: { type: String, required: true, enum: GENDERS },
+  componentNeeded: {
+    type: String,
+    enum: COMPONENT_TYPES,
+    default: "whole_blood",
   },
-  gender: { type: String, required: true, enum: ["Male", "Female", "Other"] },
   unitsRequired: { type: Number, required: true },
   hospitalName: { type: String, required: true },
   medicalReason: { type: String, required: true },
@@ -116,15 +708,50 @@ const bloodRequestSchema = new mongoose.Schema({
   collegeRollNumber: { type: String, required: true },
   collegeEmail: { type: String, required: true },
   contactNumber: { type: String, required: true },
+  submittedFromIp: { type: String },
+  // Trimmed and lowercased, for counting submissions per requester
+  normalizedRollNumber: { type: String },
+  normalizedEmail: { type: String },
 
   // Request Details
   isEmergency: { type: Boolean, default: false },
-  hospitalReportsFileId: { type: mongoose.Schema.Types.ObjectId }, // GridFS file ID
+  // Files sent with the request or added later from the tracking link
+  reports: [
+    {
+      fileId: { type: mongoose.Schema.Types.ObjectId }, // GridFS file ID
+      filename: String,
+      documentType: { type: String, enum: DOCUMENT_TYPES, default: "other" },
+      contentType: String, // Detected from the file's contents
+      size: Number,
+      scanner: String, // Which scanner passed the file
+      source: { type: String, enum: ["submission", "tracking_link"] },
+      uploadedAt: { type: Date, default: Date.now },
+    },
+  ],
   status: {
     type: String,
-    enum: ["pending", "approved", "fulfilled", "rejected"],
+    enum: REQUEST_STATUSES,
     default: "pending",
   },
+  statusHistory: [
+    {
+      from: { type: String, enum: REQUEST_STATUSES },
+      to: { type: String, enum: REQUEST_STATUSES },
+      changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      changedByEmail: String,
+      notes: String,
+      requesterNote: String, // Shown to the requester on the tracking page
+      changedAt: { type: Date, default: Date.now },
+    },
+  ],
+  // Units held for the request between approval and fulfilment
+  reservation: {
+    bags: [{ type: mongoose.Schema.Types.ObjectId, ref: "BloodBag" }],
+    reservedAt: Date,
+    expiresAt: Date,
+    releasedAt: Date,
+    releaseReason: String, // fulfilled, cancelled or expired
+  },
 
   // Timestamps
   requestedAt: { type: Date, default: Date.now },
@@ -132,18 +759,77 @@ const bloodRequestSchema = new mongoose.Schema({
 
   // Admin Notes
   adminNotes: { type: String },
+  requesterNotes: { type: String }, // Latest message for the requester
+
+  // Set when staff were alerted that the request is still pending
+  escalatedAt: { type: Date, default: null },
+
+  // Set on submission when the request looks like a copy of an open one;
+  // staff merge it into that request or dismiss the flag
+  flag: {
+    status: { type: String, enum: REQUEST_FLAG_STATUSES },
+    reason: String,
+    duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest" },
+    flaggedAt: Date,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: Date,
+    reviewNotes: String,
+  },
+  // Flagged copies merged into this request
+  mergedRequests: [
+    { type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest" },
+  ],
 });
 
+bloodRequestSchema.index({ requestedAt: -1 });
+bloodRequestSchema.index({ "flag.status": 1, requestedAt: 1 });
+bloodRequestSchema.index({ submittedFromIp: 1, requestedAt: -1 });
+bloodRequestSchema.index({ normalizedRollNumber: 1, requestedAt: -1 });
+bloodRequestSchema.index({ normalizedEmail: 1, requestedAt: -1 });
+
+// File Access Log Schema (one entry per attempt to download a report)
+const fileAccessLogSchema = new mongoose.Schema({
+  fileId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  request: { type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest" },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Staff only
+  email: String, // Staff email, or the requester's for tracking links
+  via: { type: String, enum: ["staff", "tracking_link"], required: true },
+  granted: { type: Boolean, required: true },
+  ip: String,
+  userAgent: String,
+  accessedAt: { type: Date, default: Date.now },
+});
+
+// Generated Document Schema (PDFs we produced, kept in GridFS for reissue)
+const generatedDocumentSchema = new mongoose.Schema({
+  kind: { type: String, enum: GENERATED_DOCUMENT_KINDS, required: true },
+  documentNumber: { type: String, required: true, unique: true },
+  // What the document is about, depending on its kind
+  request: { type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest" },
+  donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor" },
+  donation: { type: mongoose.Schema.Types.ObjectId }, // donationHistory entry
+  period: String, // Month of a monthly report, e.g. "2025-08"
+  fileId: { type: mongoose.Schema.Types.ObjectId, required: true }, // GridFS
+  filename: String,
+  size: Number,
+  generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  generatedAt: { type: Date, default: Date.now },
+  issueCount: { type: Number, default: 1 },
+  lastIssuedAt: { type: Date, default: Date.now },
+});
+
+generatedDocumentSchema.index({ kind: 1, request: 1, donation: 1, period: 1 });
+
 // Notification Schema
 const notificationSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ["emergency_request", "low_stock", "donation_needed"],
+    enum: NOTIFICATION_TYPES,
     required: true,
   },
   title: { type: String, required: true },
   message: { type: String, required: true },
-  isRead: { type: Boolean, default: false },
+  readBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // Users who have read it
   targetAudience: {
     type: String,
     enum: ["all", "admins", "donors"],
@@ -153,625 +839,11083 @@ const notificationSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },
 });
 
+// Notification Delivery Schema (one email or SMS to one recipient)
+const notificationDeliverySchema = new mongoose.Schema({
+  channel: { type: String, enum: ["email", "sms"], required: true },
+  recipient: { type: String, required: true },
+  template: { type: String, required: true },
+  subject: { type: String },
+  body: { type: String }, // Cleared once a private message is sent or given up
+  relatedId: { type: mongoose.Schema.Types.ObjectId }, // Related request/inventory ID
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: "pending",
+  },
+  attempts: [
+    {
+      attemptedAt: { type: Date, default: Date.now },
+      success: Boolean,
+      error: String,
+    },
+  ],
+  lastError: { type: String },
+  nextAttemptAt: { type: Date },
+  providerMessageId: { type: String },
+  sentAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Call-out Campaign Schema (contacting donors in waves for one request)
+const calloutCampaignSchema = new mongoose.Schema({
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "BloodRequest",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["active", "completed", "exhausted", "cancelled"],
+    default: "active",
+  },
+  unitsNeeded: { type: Number, required: true },
+  waveSize: { type: Number, default: 10 },
+  waveIntervalMinutes: { type: Number, default: 30 },
+  currentWave: { type: Number, default: 0 },
+  lastWaveAt: { type: Date },
+  contacts: [
+    {
+      donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor" },
+      wave: Number,
+      score: Number,
+      tokenHash: { type: String, index: true }, // Only the hash of the link token is stored
+      response: {
+        type: String,
+        enum: ["pending", "accepted", "declined"],
+        default: "pending",
+      },
+      contactedAt: { type: Date, default: Date.now },
+      respondedAt: Date,
+    },
+  ],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: { type: Date },
+});
+
+// Donation Camp Schema (a blood drive with bookable time slots)
+const donationCampSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  venue: { type: String, required: true },
+  facility: { type: mongoose.Schema.Types.ObjectId, ref: "Facility" }, // Where collected units are stored
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  slotMinutes: { type: Number, default: 30, min: 5 },
+  capacity: { type: Number, required: true, min: 1 }, // Donors across the whole camp
+  slotCapacity: { type: Number, min: 1 }, // Defaults to capacity spread over the slots
+  // Empty means everyone is welcome
+  targetBloodGroups: [{ type: String, enum: BLOOD_TYPES }],
+  targetBranches: [String],
+  status: {
+    type: String,
+    enum: CAMP_STATUSES,
+    default: "planned",
+  },
+  notes: { type: String },
+  registrations: [
+    {
+      donor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Donor",
+        required: true,
+      },
+      slotStart: { type: Date }, // Empty for walk-ins
+      walkIn: { type: Boolean, default: false },
+      status: {
+        type: String,
+        enum: ["registered", "checked_in", "donated", "no_show", "cancelled"],
+        default: "registered",
+      },
+      registeredAt: { type: Date, default: Date.now },
+      checkedInAt: { type: Date },
+      checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      donation: { type: mongoose.Schema.Types.ObjectId }, // donationHistory entry
+    },
+  ],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  announcedAt: { type: Date },
+  completedAt: { type: Date },
+  cancelledAt: { type: Date },
+});
+
+// Auth Session Schema (one per login; holds the current refresh token)
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  refreshTokenHash: { type: String, required: true }, // Replaced on every refresh
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: { type: Date },
+  userAgent: { type: String },
+  ip: { type: String },
+  revokedAt: { type: Date },
+  revokeReason: {
+    type: String,
+    enum: ["logout", "password_change", "token_reuse", "account_disabled"],
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Scheduled Job Schema (one per job; the lock keeps runs to one instance)
+const jobRunSchema = new mongoose.Schema(
+  {
+    trigger: { type: String, enum: ["schedule", "manual"] },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    startedAt: Date,
+    finishedAt: Date,
+    durationMs: Number,
+    status: { type: String, enum: JOB_RUN_STATUSES },
+    result: mongoose.Schema.Types.Mixed, // Summary returned by the job
+    error: String,
+  },
+  { _id: false }
+);
+
+const scheduledJobSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  schedule: String, // Cron expression, UTC
+  enabled: { type: Boolean, default: true },
+  nextRunAt: Date,
+  lockedBy: { type: String, default: null }, // host:pid of the running instance
+  lockedUntil: { type: Date, default: null },
+  lastRun: jobRunSchema,
+  recentRuns: [jobRunSchema], // Newest first
+  runCount: { type: Number, default: 0 },
+  failureCount: { type: Number, default: 0 },
+});
+
+// Staff Invitation Schema (the only way to create staff accounts)
+const staffInvitationSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true },
+  role: { type: String, enum: STAFF_ROLES, required: true },
+  tokenHash: { type: String, required: true, index: true }, // Only the hash of the link token is stored
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  expiresAt: { type: Date, required: true },
+  acceptedAt: { type: Date },
+  acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  revokedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
 // Models
 const User = mongoose.model("User", userSchema);
+const FileAccessLog = mongoose.model("FileAccessLog", fileAccessLogSchema);
+const GeneratedDocument = mongoose.model(
+  "GeneratedDocument",
+  generatedDocumentSchema
+);
+const AuthSession = mongoose.model("AuthSession", authSessionSchema);
+const ScheduledJob = mongoose.model("ScheduledJob", scheduledJobSchema);
+const StaffInvitation = mongoose.model(
+  "StaffInvitation",
+  staffInvitationSchema
+);
 const Donor = mongoose.model("Donor", donorSchema);
+const Facility = mongoose.model("Facility", facilitySchema);
 const BloodInventory = mongoose.model("BloodInventory", bloodInventorySchema);
+const BloodBag = mongoose.model("BloodBag", bloodBagSchema);
+const InventoryTransaction = mongoose.model(
+  "InventoryTransaction",
+  inventoryTransactionSchema
+);
+const Transfer = mongoose.model("Transfer", transferSchema);
 const BloodRequest = mongoose.model("BloodRequest", bloodRequestSchema);
 const Notification = mongoose.model("Notification", notificationSchema);
+const NotificationDelivery = mongoose.model(
+  "NotificationDelivery",
+  notificationDeliverySchema
+);
+const DonationCamp = mongoose.model("DonationCamp", donationCampSchema);
+const CalloutCampaign = mongoose.model(
+  "CalloutCampaign",
+  calloutCampaignSchema
+);
 
 // JWT Middleware
+// Loads the account on every request so disabled users and role changes
+// take effect straight away
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
   if (!token) {
-    return res.status(401).json({ message: "Access token required" });
+    return sendError(res, 401, "AUTH_REQUIRED", "Access token required");
   }
 
-  jwt.verify(
-    token,
-    process.env.JWT_SECRET || "fallback-secret",
-    (err, user) => {
-      if (err) {
-        return res.status(403).json({ message: "Invalid token" });
+  jwt.verify(token, JWT_SECRET, async (err, payload) => {
+    if (err) {
+      // Clients refresh on 401; anything else is a bad token
+      return err.name === "TokenExpiredError"
+        ? sendError(res, 401, "TOKEN_EXPIRED", "Access token expired")
+        : sendError(res, 403, "INVALID_TOKEN", "Invalid token");
+    }
+    try {
+      const [user, session] = await Promise.all([
+        User.findById(payload.userId).select(
+          "email role isActive tokenVersion"
+        ),
+        payload.sid && AuthSession.findById(payload.sid).select("revokedAt"),
+      ]);
+      if (!user || !user.isActive) {
+        return sendError(
+          res,
+          403,
+          "ACCOUNT_DISABLED",
+          "Account is disabled or no longer exists"
+        );
+      }
+      // Revoked on logout and password change
+      if (payload.ver !== user.tokenVersion || !session || session.revokedAt) {
+        return sendError(res, 401, "SESSION_ENDED", "Session has ended");
       }
-      req.user = user;
+      req.user = {
+        userId: String(user._id),
+        email: user.email,
+        role: user.role,
+        sessionId: String(session._id),
+      };
       next();
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error authenticating", error: error.message });
     }
-  );
-};
-
-// Admin middleware
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== "admin") {
-    return res.status(403).json({ message: "Admin access required" });
-  }
-  next();
+  });
 };
 
-// Utility Functions
-const createNotification = async (type, title, message, relatedId = null) => {
-  try {
-    const notification = new Notification({
-      type,
-      title,
-      message,
-      relatedId,
-      targetAudience: type === "low_stock" ? "admins" : "all",
+// Permission middleware: the user's role must grant the permission
+const requirePermission = (permission) => (req, res, next) => {
+  if (!(ROLE_PERMISSIONS[req.user.role] || []).includes(permission)) {
+    return sendError(res, 403, "PERMISSION_DENIED", "Permission denied", [], {
+      requiredPermission: permission,
     });
-    await notification.save();
-    return notification;
-  } catch (error) {
-    console.error("Error creating notification:", error);
   }
+  next();
 };
 
-const checkLowStock = async () => {
+// Donor middleware: loads the donor profile linked to the account
+const requireDonor = async (req, res, next) => {
   try {
-    const lowStockItems = await BloodInventory.find({
-      $expr: { $lt: ["$unitsAvailable", "$lowStockThreshold"] },
-    });
+    if (req.user.role !== "donor") {
+      return sendError(
+        res,
+        403,
+        "DONOR_ACCOUNT_REQUIRED",
+        "Donor account required"
+      );
+    }
 
-    for (const item of lowStockItems) {
-      await createNotification(
-        "low_stock",
-        `Low Stock Alert: ${item.bloodType}`,
-        `${item.bloodType} blood type is running low. Current stock: ${item.unitsAvailable} units.`,
-        item._id
+    const user = await User.findById(req.user.userId).select("donor");
+    const donor = user && user.donor && (await Donor.findById(user.donor));
+    if (!donor) {
+      return sendError(
+        res,
+        404,
+        "NOT_FOUND",
+        "No donor profile is linked to this account"
       );
     }
+
+    req.donor = donor;
+    next();
   } catch (error) {
-    console.error("Error checking low stock:", error);
+    res
+      .status(500)
+      .json({ message: "Error loading donor profile", error: error.message });
   }
 };
 
-// ROUTES
+// Request validation
+// Routes declare the params, query and body fields they accept. Anything
+// else is refused, and query and form values are converted to the declared
+// type, so handlers can rely on what they read.
+const rules = {
+  string: (options) => ({ type: "string", ...options }),
+  email: (options) => ({ type: "email", ...options }),
+  number: (options) => ({ type: "number", ...options }),
+  integer: (options) => ({ type: "integer", ...options }),
+  boolean: (options) => ({ type: "boolean", ...options }),
+  date: (options) => ({ type: "date", ...options }),
+  objectId: (options) => ({ type: "objectId", ...options }),
+  oneOf: (values, options) => ({ type: "oneOf", values, ...options }),
+  array: (items, options) => ({ type: "array", items, ...options }),
+  object: (fields, options) => ({ type: "object", fields, ...options }),
+};
 
-// 1. AUTHENTICATION ROUTES
+const required = { required: true };
+const idParams = { id: rules.objectId(required) };
+const pageQuery = {
+  page: rules.integer({ min: 1 }),
+  limit: rules.integer({ min: 1, max: MAX_PAGE_SIZE }),
+};
+const trackingParams = { token: rules.string(required) };
+// Camps are created and edited with the same fields
+const campFields = {
+  name: rules.string(),
+  venue: rules.string(),
+  startsAt: rules.date(),
+  endsAt: rules.date(),
+  slotMinutes: rules.integer({ min: 5 }),
+  capacity: rules.integer({ min: 1 }),
+  slotCapacity: rules.integer({ min: 1 }),
+  targetBloodGroups: rules.array(rules.oneOf(BLOOD_TYPES)),
+  targetBranches: rules.array(rules.string()),
+  notes: rules.string(),
+  facility: rules.string(),
+};
+const analyticsQuery = {
+  from: rules.date(),
+  to: rules.date(),
+  groupBy: rules.oneOf(Object.keys(ANALYTICS_PERIOD_FORMATS)),
+};
+// Read by findDonorByReference
+const donorReference = {
+  donorId: rules.objectId(),
+  rollNumber: rules.string(),
+};
 
-// Register
-app.post("/api/auth/register", async (req, res) => {
-  try {
-    const { email, password, role } = req.body;
+// Returns the value converted to the rule's type, adding any problems to
+// details
+const checkValue = (rule, value, field, details) => {
+  const fail = (message) => {
+    details.push({ field, message });
+    return value;
+  };
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: "User already exists" });
-    }
+  if (value === undefined || value === null || value === "") {
+    return rule.required ? fail("is required") : value;
+  }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 12);
+  switch (rule.type) {
+    case "string":
+    case "email": {
+      if (typeof value === "number") value = String(value);
+      if (typeof value !== "string") return fail("must be a string");
+      if (value.length > (rule.maxLength || MAX_STRING_LENGTH)) {
+        return fail(
+          `must be at most ${rule.maxLength || MAX_STRING_LENGTH} characters`
+        );
+      }
+      if (rule.type === "email" && !EMAIL_PATTERN.test(value)) {
+        return fail("must be an email address");
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return fail(`must look like ${rule.format}`);
+      }
+      return value;
+    }
+    case "number":
+    case "integer": {
+      const number =
+        typeof value === "string" && value.trim() !== ""
+          ? Number(value)
+          : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        return fail("must be a number");
+      }
+      if (rule.type === "integer" && !Number.isInteger(number)) {
+        return fail("must be a whole number");
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return fail(`must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return fail(`must be at most ${rule.max}`);
+      }
+      return number;
+    }
+    case "boolean":
+      if (value === true || value === "true") return true;
+      if (value === false || value === "false") return false;
+      return fail("must be true or false");
+    case "date":
+      if (
+        !["string", "number"].includes(typeof value) ||
+        isNaN(new Date(value))
+      ) {
+        return fail("must be a date");
+      }
+      return value;
+    case "objectId":
+      if (typeof value !== "string" || !/^[a-f\d]{24}$/i.test(value)) {
+        return fail("must be an ID");
+      }
+      return value;
+    case "oneOf":
+      if (!rule.values.includes(value)) {
+        return fail(`must be one of ${rule.values.join(", ")}`);
+      }
+      return value;
+    case "array":
+      // A form or query field sent once arrives as a plain string
+      if (typeof value === "string") value = [value];
+      if (!Array.isArray(value)) return fail("must be a list");
+      if (rule.minItems && value.length < rule.minItems) {
+        return fail(`must list at least ${rule.minItems} item(s)`);
+      }
+      return value.map((item, index) =>
+        checkValue(rule.items, item, `${field}[${index}]`, details)
+      );
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return fail("must be an object");
+      }
+      return checkFields(rule.fields, value, `${field}.`, details);
+  }
+};
 
-    // Create user
-    const user = new User({
-      email,
-      password: hashedPassword,
-      role: role || "user",
-    });
+const checkFields = (fields, input, prefix, details) => {
+  const output = {};
+  for (const key of Object.keys(input)) {
+    if (!Object.hasOwn(fields, key)) {
+      details.push({ field: `${prefix}${key}`, message: "is not allowed" });
+    }
+  }
+  for (const [key, rule] of Object.entries(fields)) {
+    const value = checkValue(rule, input[key], `${prefix}${key}`, details);
+    if (value !== undefined) output[key] = value;
+  }
+  return output;
+};
 
-    await user.save();
+// Every 4xx response has this shape. A detail names the location and field
+// at fault, and takes the error's message unless it has its own. extra holds
+// fields particular to one error, such as allowedStatuses
+const sendError = (res, status, code, message, details = [], extra = {}) =>
+  res.status(status).json({
+    code,
+    message,
+    details: details.map((detail) => ({
+      ...detail,
+      message: detail.message || message,
+    })),
+    ...extra,
+  });
 
-    res.status(201).json({ message: "User registered successfully" });
-  } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Error registering user", error: error.message });
-  }
-});
+// Details for body fields that are missing or not allowed, from a map of
+// field name to value: missingFieldDetails({ name, code })
+const missingFieldDetails = (fields) =>
+  Object.entries(fields)
+    .filter(([, value]) => !value)
+    .map(([field]) => ({ location: "body", field, message: "is required" }));
 
-// Login
-app.post("/api/auth/login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
+// Refuse the request with 400 unless params, query and body match the schema
+// ({ params, query, body }, each a map of field name to rule); a part left
+// out of the schema must be empty
+const validate = (schema) => (req, res, next) => {
+  const details = [];
+  for (const location of ["params", "query", "body"]) {
+    const input = req[location] || {};
+    const problems = [];
 
-    // Find user
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ message: "Invalid credentials" });
+    if (typeof input !== "object" || Array.isArray(input)) {
+      problems.push({ field: location, message: "must be an object" });
+    } else {
+      const checked = checkFields(schema[location] || {}, input, "", problems);
+      if (problems.length === 0) req[location] = checked;
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({ message: "Invalid credentials" });
-    }
+    details.push(...problems.map((problem) => ({ location, ...problem })));
+  }
 
-    // Create token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || "fallback-secret",
-      { expiresIn: "24h" }
+  if (details.length > 0) {
+    return sendError(
+      res,
+      400,
+      "VALIDATION_ERROR",
+      details.map((detail) => `${detail.field} ${detail.message}`).join("; "),
+      details
     );
-
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-      },
+  }
+  next();
+};
+
+// Utility Functions
+// templateData is passed to the delivery template when users are emailed or
+// texted
+const createNotification = async (
+  type,
+  title,
+  message,
+  relatedId = null,
+  templateData = null
+) => {
+  try {
+    const notification = new Notification({
+      type,
+      title,
+      message,
+      relatedId,
+      // Stock and request alerts are for staff only
+      targetAudience: ["low_stock", "stock_digest", "stale_request"].includes(
+        type
+      )
+        ? "admins"
+        : "all",
     });
+    await notification.save();
+
+    pushNotification(notification);
+
+    // Email and text the users who asked for this type on those channels
+    if (templateData && notificationTemplates[type]) {
+      const roles = rolesForAudience(notification.targetAudience);
+      const users = await User.find(
+        roles ? { role: { $in: roles } } : {}
+      ).select("email phone notificationPreferences");
+
+      for (const user of users) {
+        const channels = user.notificationPreferences[type];
+        if (channels.includes("email")) {
+          await queueDelivery(
+            "email",
+            user.email,
+            type,
+            templateData,
+            relatedId
+          );
+        }
+        if (channels.includes("sms")) {
+          await queueDelivery("sms", user.phone, type, templateData, relatedId);
+        }
+      }
+    }
+
+    return notification;
+  } catch (error) {
+    console.error("Error creating notification:", error);
+  }
+};
+
+// Alert once each time stock of a blood type at a facility drops below its
+// threshold: lowStockAlertedAt is set by the alert and cleared once the stock
+// is back at or above the threshold
+const raiseLowStockAlerts = async () => {
+  const below = { $expr: { $lt: ["$unitsAvailable", "$lowStockThreshold"] } };
+
+  await BloodInventory.updateMany(
+    {
+      lowStockAlertedAt: { $ne: null },
+      $expr: { $gte: ["$unitsAvailable", "$lowStockThreshold"] },
+    },
+    { lowStockAlertedAt: null }
+  );
+
+  // Each row is claimed before alerting, so concurrent checks alert once
+  let lowStockAlerts = 0;
+  let item;
+  while (
+    (item = await BloodInventory.findOneAndUpdate(
+      { ...below, lowStockAlertedAt: null },
+      { lowStockAlertedAt: new Date() },
+      { new: true }
+    ).populate("facility", "name code"))
+  ) {
+    await createNotification(
+      "low_stock",
+      `Low Stock Alert: ${item.bloodType} at ${item.facility.name}`,
+      `${item.bloodType} blood type is running low at ${item.facility.name}. Current stock: ${item.unitsAvailable} units.`,
+      item._id,
+      { inventory: item }
+    );
+    lowStockAlerts++;
+  }
+  return { lowStockAlerts };
+};
+
+// Used after inventory changes; a failed check must not fail the change
+const checkLowStock = async () => {
+  try {
+    await raiseLowStockAlerts();
+  } catch (error) {
+    console.error("Error checking low stock:", error);
+  }
+};
+
+// Users and Roles
+
+// Bring accounts created before staff roles, email verification and
+// lowercased emails up to date: "admin" becomes "super_admin", existing
+// addresses count as verified and are lowercased
+const migrateUserAccounts = async () => {
+  try {
+    const mixedCase = await User.collection
+      .find({
+        $expr: {
+          $ne: ["$email", { $toLower: { $trim: { input: "$email" } } }],
+        },
+      })
+      .project({ email: 1 })
+      .toArray();
+    for (const user of mixedCase) {
+      try {
+        await User.collection.updateOne(
+          { _id: user._id },
+          { $set: { email: user.email.trim().toLowerCase() } }
+        );
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Two accounts for one address; left for an admin to merge
+        console.error(
+          `User ${user._id} (${user.email}) has the same email as another account in different case`
+        );
+      }
+    }
+
+    const result = await User.collection.updateMany(
+      { role: "admin" },
+      { $set: { role: "super_admin" } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`Made ${result.modifiedCount} admin(s) super-admins`);
+    }
+    await User.collection.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
   } catch (error) {
-    res.status(500).json({ message: "Error logging in", error: error.message });
+    console.error("Error migrating user accounts:", error);
   }
+};
+
+// Whether taking this user out of the super-admin role (or disabling them)
+// would leave nobody able to manage staff
+const isLastSuperAdmin = async (user) =>
+  user.role === "super_admin" &&
+  (await User.countDocuments({ role: "super_admin", isActive: true })) <= 1;
+
+// Authentication
+
+const passwordProblem = (password) =>
+  !password || password.length < MIN_PASSWORD_LENGTH
+    ? `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    : null;
+
+// Short-lived token naming the session it belongs to and the user's token
+// version, so logout and password changes can revoke it
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId,
+      ver: user.tokenVersion,
+    },
+    JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+  );
+
+// Refresh tokens are "<session id>.<secret>"; only the secret's hash is kept
+const setRefreshToken = (session) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  session.refreshTokenHash = hashToken(secret);
+  session.lastUsedAt = new Date();
+  return `${session._id}.${secret}`;
+};
+
+const tokenResponse = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
 });
 
-// 2. BLOOD INVENTORY ROUTES
+// Start a session for a successful login
+const startSession = async (user, req) => {
+  const session = new AuthSession({
+    user: user._id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+  });
+  const refreshToken = setRefreshToken(session);
+  await session.save();
+  return tokenResponse(user, session, refreshToken);
+};
+
+const revokeSessions = (query, reason) =>
+  AuthSession.updateMany(
+    { ...query, revokedAt: null },
+    { revokedAt: new Date(), revokeReason: reason }
+  );
+
+// Sign the user out everywhere, e.g. after a password change
+const revokeAllAccess = async (user, reason) => {
+  user.tokenVersion += 1;
+  await user.save();
+  await revokeSessions({ user: user._id }, reason);
+};
+
+// One-time token for an emailed link; its hash and expiry are kept on the
+// user under <purpose>TokenHash and <purpose>ExpiresAt
+const issueEmailToken = (user, purpose, ttlMs) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  user[`${purpose}TokenHash`] = hashToken(token);
+  user[`${purpose}ExpiresAt`] = new Date(Date.now() + ttlMs);
+  return token;
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = issueEmailToken(
+    user,
+    "emailVerification",
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  await user.save();
+  await queueDelivery(
+    "email",
+    user.email,
+    "verify_email",
+    { link: `${APP_BASE_URL}/api/auth/verify-email?token=${token}` },
+    user._id
+  );
+};
+
+// Notification Inbox
+
+// Which notification audiences a user with this role belongs to
+const audiencesForRole = (role) =>
+  STAFF_ROLES.includes(role) ? ["all", "admins"] : ["all", "donors"];
+
+// Which user roles a notification audience reaches (null means everyone)
+const rolesForAudience = (audience) =>
+  ({ admins: STAFF_ROLES, donors: ["user", "donor"] })[audience] || null;
+
+// Inbox query for a user: their audiences and the types they get in-app
+const inboxQuery = (user, preferences) => ({
+  targetAudience: { $in: audiencesForRole(user.role) },
+  type: {
+    $in: NOTIFICATION_TYPES.filter((type) =>
+      preferences[type].includes("in_app")
+    ),
+  },
+});
+
+const getNotificationPreferences = async (userId) => {
+  const user = await User.findById(userId).select("notificationPreferences");
+  return user
+    ? user.notificationPreferences
+    : new User().notificationPreferences;
+};
+
+// Read state is kept per user in readBy; hide the list and show isRead
+const formatNotificationForUser = (notification, userId) => {
+  const { readBy = [], ...rest } = notification.toObject();
+  return {
+    ...rest,
+    isRead: readBy.some((id) => String(id) === String(userId)),
+  };
+};
+
+// Open Server-Sent Events connections: { res, userId, role, preferences }
+const notificationStreamClients = new Set();
+
+const pushNotification = (notification) => {
+  const payload = `event: notification\ndata: ${JSON.stringify(
+    formatNotificationForUser(notification, null)
+  )}\n\n`;
+
+  for (const client of notificationStreamClients) {
+    if (
+      audiencesForRole(client.role).includes(notification.targetAudience) &&
+      client.preferences[notification.type].includes("push")
+    ) {
+      client.res.write(payload);
+    }
+  }
+};
+
+// Notification Delivery
+
+const MAIL_FROM =
+  process.env.MAIL_FROM || "Blood Bank <no-reply@bloodbank.local>";
+const DELIVERY_MAX_ATTEMPTS = parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 5;
+
+let mailTransport;
+const getMailTransport = () => {
+  if (!mailTransport) {
+    // Defaults point at a local SMTP stand-in such as MailHog or smtp4dev
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return mailTransport;
+};
+
+// Channel adapters: each one says whether it is set up and sends a rendered
+// message to a single recipient
+const deliveryChannels = {
+  email: {
+    isConfigured: () => true,
+    send: async (to, message) => {
+      const info = await getMailTransport().sendMail({
+        from: MAIL_FROM,
+        to,
+        subject: message.subject,
+        text: message.text,
+      });
+      return info.messageId;
+    },
+  },
+  // Generic SMS gateway: POSTs { to, message } as JSON to SMS_WEBHOOK_URL
+  sms: {
+    isConfigured: () => Boolean(process.env.SMS_WEBHOOK_URL),
+    send: async (to, message) => {
+      const response = await fetch(process.env.SMS_WEBHOOK_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(process.env.SMS_WEBHOOK_TOKEN && {
+            Authorization: `Bearer ${process.env.SMS_WEBHOOK_TOKEN}`,
+          }),
+        },
+        body: JSON.stringify({ to, message: message.text }),
+      });
+      if (!response.ok) {
+        throw new Error(`SMS webhook responded with ${response.status}`);
+      }
+      return null;
+    },
+  },
+};
+
+// Message templates: each returns an email subject and text plus a short SMS
+const notificationTemplates = {
+  emergency_request: ({ request }) => ({
+    subject: `Emergency: ${request.bloodTypeNeeded} blood needed`,
+    text: [
+      `An emergency request needs ${request.unitsRequired} unit(s) of ${request.bloodTypeNeeded} (${request.componentNeeded}).`,
+      `Hospital: ${request.hospitalName}`,
+      "",
+      "If you are able to donate, please contact the blood bank as soon as possible.",
+    ].join("\n"),
+    sms: `URGENT: ${request.unitsRequired} unit(s) of ${request.bloodTypeNeeded} needed at ${request.hospitalName}. Please contact the blood bank if you can donate.`,
+  }),
+  low_stock: ({ inventory }) => ({
+    subject: `Low stock: ${inventory.bloodType} at ${inventory.facility.name}`,
+    text: `${inventory.bloodType} stock at ${inventory.facility.name} is down to ${inventory.unitsAvailable} unit(s), below the threshold of ${inventory.lowStockThreshold}.`,
+    sms: `Low stock: ${inventory.bloodType} at ${inventory.facility.name}, ${inventory.unitsAvailable} unit(s).`,
+  }),
+  stock_digest: ({ forecast }) => ({
+    subject: forecast.driveRecommendations.length
+      ? `Stock digest: drives needed for ${forecast.driveRecommendations.map((item) => item.bloodType).join(", ")}`
+      : "Stock digest: supply is on track",
+    text: [
+      `Forecast for the next ${forecast.horizonDays} days:`,
+      "",
+      ...forecast.bloodTypes.map(
+        (item) =>
+          `${item.bloodType}: ${item.unitsAvailable} unit(s) in stock, about ${item.forecastDemand} needed, ${
+            item.daysOfSupply === null
+              ? "no demand expected"
+              : `${item.daysOfSupply} day(s) of supply`
+          }. Suggested threshold: ${item.recommendedThreshold}.`
+      ),
+      "",
+      ...(forecast.driveRecommendations.length
+        ? [
+            "Donation drives recommended:",
+            ...forecast.driveRecommendations.map(
+              (item) =>
+                `- ${item.bloodType}: ${item.reason}; collect about ${item.shortfall} unit(s)${
+                  item.upcomingCamps
+                    ? ` (${item.upcomingCamps} camp(s) already planned)`
+                    : ""
+                }`
+            ),
+          ]
+        : ["No donation drives are needed."]),
+    ].join("\n"),
+    sms: forecast.driveRecommendations.length
+      ? `Blood bank: drives needed for ${forecast.driveRecommendations.map((item) => item.bloodType).join(", ")}.`
+      : "Blood bank: stock covers the forecast demand.",
+  }),
+  stale_request: ({ request, hours }) => ({
+    subject: `${request.isEmergency ? "Emergency request" : "Request"} pending for ${hours} hours`,
+    text: [
+      `The request for ${request.unitsRequired} unit(s) of ${request.bloodTypeNeeded} for ${request.patientName} has been pending for ${hours} hours.`,
+      `Hospital: ${request.hospitalName}`,
+      `Submitted: ${request.requestedAt.toUTCString()}`,
+      "",
+      "Please review it as soon as possible.",
+    ].join("\n"),
+    sms: `${request.isEmergency ? "EMERGENCY request" : "Request"} for ${request.bloodTypeNeeded} at ${request.hospitalName} pending ${hours}h.`,
+  }),
+  eligibility_reminder: ({ donor }) => ({
+    subject: "You can donate blood again",
+    text: [
+      `Hi ${donor.name},`,
+      "",
+      `Your waiting period since your last donation is over, so you can donate again. ${donor.bloodGroup} donors are always needed.`,
+      "",
+      `See upcoming donation camps: ${APP_BASE_URL}/api/camps/upcoming`,
+    ].join("\n"),
+    sms: `Hi ${donor.name}, you can donate blood again. Upcoming camps: ${APP_BASE_URL}/api/camps/upcoming`,
+  }),
+  request_received: ({ request, link }) => ({
+    subject: "Your blood request has been received",
+    text: [
+      `We have received your request for ${request.unitsRequired} unit(s) of ${request.bloodTypeNeeded} for ${request.patientName}.`,
+      "",
+      `Track it, add reports or cancel it here: ${link}`,
+    ].join("\n"),
+    sms: `Blood request for ${request.patientName} received. Track it: ${link}`,
+  }),
+  request_status: ({ request, link }) => ({
+    subject: `Your blood request is ${request.status}`,
+    text: [
+      `Your request for ${request.unitsRequired} unit(s) of ${request.bloodTypeNeeded} for ${request.patientName} is now ${request.status}.`,
+      ...(request.requesterNotes
+        ? ["", `Notes: ${request.requesterNotes}`]
+        : []),
+      ...(link ? ["", `Track your request: ${link}`] : []),
+    ].join("\n"),
+    sms: `Blood request for ${request.patientName} is now ${request.status}.`,
+  }),
+  donation_needed: ({ camp }) => ({
+    subject: `Blood donation camp: ${camp.name}`,
+    text: [
+      `${camp.name} is being held at ${camp.venue} on ${camp.startsAt.toDateString()}, ${camp.startsAt.toTimeString().slice(0, 5)} to ${camp.endsAt.toTimeString().slice(0, 5)}.`,
+      ...(camp.targetBloodGroups.length
+        ? [`We especially need ${camp.targetBloodGroups.join(", ")} donors.`]
+        : []),
+      "",
+      `Book a slot: ${APP_BASE_URL}/api/camps/${camp._id}/slots`,
+    ].join("\n"),
+    sms: `Blood donation camp at ${camp.venue} on ${camp.startsAt.toDateString()}. Book a slot: ${APP_BASE_URL}/api/camps/${camp._id}/slots`,
+  }),
+  verify_email: ({ link }) => ({
+    subject: "Verify your email address",
+    text: [
+      "Please confirm this email address for your blood bank account:",
+      link,
+      "",
+      `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+    ].join("\n"),
+    sms: `Verify your blood bank account: ${link}`,
+  }),
+  password_reset: ({ token, link }) => ({
+    subject: "Reset your password",
+    text: [
+      "A password reset was requested for your blood bank account.",
+      `Reset it here: ${link}`,
+      `Or send this token with your new password: ${token}`,
+      "",
+      `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for this, ignore this email.`,
+    ].join("\n"),
+    sms: `Blood bank password reset: ${link}`,
+  }),
+  staff_invitation: ({ role, link, expiresAt }) => ({
+    subject: "You have been invited to the blood bank team",
+    text: [
+      `You have been invited to join the blood bank as ${role.replace(/_/g, " ")}.`,
+      "",
+      `Accept the invitation and set your password: ${link}`,
+      `The invitation expires on ${expiresAt.toUTCString()}.`,
+    ].join("\n"),
+    sms: `You have been invited to the blood bank team: ${link}`,
+  }),
+  callout: ({ request, link }) => ({
+    subject: `Can you donate ${request.bloodTypeNeeded} blood?`,
+    text: [
+      `${request.hospitalName} urgently needs ${request.bloodTypeNeeded} (${request.componentNeeded}) and you are a matching eligible donor.`,
+      "",
+      `Please let us know whether you can donate: ${link}`,
+    ].join("\n"),
+    sms: `Urgent: ${request.bloodTypeNeeded} donor needed at ${request.hospitalName}. Can you donate? Reply here: ${link}`,
+  }),
+};
+
+// Pull an email address and a phone number out of free-text contact info
+// such as "name@college.edu, +91 98765 43210"
+const parseContactInfo = (contactInfo = "") => {
+  const email = contactInfo.match(/[^\s,;]+@[^\s,;]+\.[^\s,;]+/);
+  const phone = contactInfo.match(/\+?\d[\d\s-]{7,}\d/);
+  return {
+    email: email ? email[0] : null,
+    phone: phone ? phone[0].replace(/[\s-]/g, "") : null,
+  };
+};
+
+// Try to send a delivery once, scheduling a retry with exponential backoff
+// when it fails
+const attemptDelivery = async (delivery) => {
+  const attemptedAt = new Date();
 
-// Get blood inventory
-app.get("/api/inventory", async (req, res) => {
   try {
-    const inventory = await BloodInventory.find().sort({ bloodType: 1 });
-    res.json(inventory);
+    const providerMessageId = await deliveryChannels[delivery.channel].send(
+      delivery.recipient,
+      { subject: delivery.subject, text: delivery.body }
+    );
+    delivery.status = "sent";
+    delivery.sentAt = attemptedAt;
+    delivery.providerMessageId = providerMessageId;
+    delivery.attempts.push({ attemptedAt, success: true });
   } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Error fetching inventory", error: error.message });
+    console.error(
+      `Delivery ${delivery._id} via ${delivery.channel} failed:`,
+      error.message
+    );
+    delivery.attempts.push({
+      attemptedAt,
+      success: false,
+      error: error.message,
+    });
+    delivery.lastError = error.message;
+
+    if (delivery.attempts.length >= DELIVERY_MAX_ATTEMPTS) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+    } else {
+      delivery.status = "retrying";
+      delivery.nextAttemptAt = new Date(
+        attemptedAt.getTime() + 2 ** delivery.attempts.length * 60 * 1000
+      );
+    }
+  }
+
+  // Links in private messages are not kept once they are no longer needed
+  if (
+    PRIVATE_TEMPLATES.includes(delivery.template) &&
+    delivery.status !== "retrying"
+  ) {
+    delivery.body = null;
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// A delivery as staff see it, without the text of private messages
+const deliveryView = (delivery) =>
+  PRIVATE_TEMPLATES.includes(delivery.template)
+    ? { ...delivery.toObject(), body: "[hidden]" }
+    : delivery;
+
+// Clear the text of private messages logged before it was cleared on sending
+const clearPrivateDeliveryBodies = () =>
+  NotificationDelivery.updateMany(
+    {
+      template: { $in: PRIVATE_TEMPLATES },
+      status: { $in: ["sent", "failed"] },
+      body: { $ne: null },
+    },
+    { $set: { body: null } }
+  ).catch((error) =>
+    console.error("Error clearing private delivery text:", error)
+  );
+
+// Render a template for one recipient, log it and send it in the background
+const queueDelivery = async (channel, recipient, template, data, relatedId) => {
+  try {
+    if (!recipient || !deliveryChannels[channel].isConfigured()) return null;
+
+    const message = notificationTemplates[template](data);
+    const delivery = await NotificationDelivery.create({
+      channel,
+      recipient,
+      template,
+      subject: message.subject,
+      body: channel === "sms" ? message.sms : message.text,
+      relatedId,
+    });
+
+    attemptDelivery(delivery).catch((error) =>
+      console.error("Error sending delivery:", error)
+    );
+    return delivery;
+  } catch (error) {
+    console.error("Error queueing delivery:", error);
+    return null;
+  }
+};
+
+// Send deliveries whose retry time has come
+const retryDeliveries = async () => {
+  const deliveries = await NotificationDelivery.find({
+    status: "retrying",
+    nextAttemptAt: { $lte: new Date() },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(100);
+
+  for (const delivery of deliveries) {
+    await attemptDelivery(delivery);
+  }
+  return { retriedDeliveries: deliveries.length };
+};
+
+// Email and text eligible donors who can give to an emergency request
+const notifyEligibleDonors = async (request) => {
+  try {
+    const ranked = await rankDonorsForRequest(request);
+
+    for (const { donor } of ranked) {
+      const { email, phone } = parseContactInfo(donor.contactInfo);
+      await queueDelivery(
+        "email",
+        email,
+        "emergency_request",
+        { request },
+        request._id
+      );
+      await queueDelivery(
+        "sms",
+        phone,
+        "emergency_request",
+        { request },
+        request._id
+      );
+    }
+  } catch (error) {
+    console.error("Error notifying donors:", error);
+  }
+};
+
+// Emergency Donor Matching
+
+const APP_BASE_URL = process.env.APP_BASE_URL || "http://localhost:5001";
+// How much each factor counts towards a donor's match score (adds up to 1)
+const MATCH_WEIGHTS = {
+  compatibility: 0.5,
+  responseRate: 0.3,
+  timeSinceDonation: 0.2,
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Eligible, available donors who can give to a request, best match first
+const rankDonorsForRequest = async (request, excludeDonorIds = []) => {
+  const compatibleTypes = getCompatibleBloodTypes(
+    request.bloodTypeNeeded,
+    request.componentNeeded
+  );
+
+  const donors = await Donor.find({
+    _id: { $nin: excludeDonorIds },
+    bloodGroup: { $in: compatibleTypes },
+    isAvailable: true,
+    ...eligibleDonorQuery(),
+  }).select("-deferrals");
+
+  const now = Date.now();
+
+  return donors
+    .map((donor) => {
+      // Exact match scores 1, the last compatible group scores 0.5
+      const compatibility =
+        1 -
+        (compatibleTypes.indexOf(donor.bloodGroup) /
+          Math.max(compatibleTypes.length - 1, 1)) *
+          0.5;
+
+      // Smoothed so donors who were never contacted start at 0.5
+      const stats = donor.calloutStats || {};
+      const responseRate =
+        ((stats.accepted || 0) + 1) / ((stats.contacted || 0) + 2);
+
+      // A year or more since the last donation (or never donated) scores 1
+      const timeSinceDonation = donor.lastDonationDate
+        ? Math.min((now - donor.lastDonationDate.getTime()) / (365 * DAY_MS), 1)
+        : 1;
+
+      const score =
+        MATCH_WEIGHTS.compatibility * compatibility +
+        MATCH_WEIGHTS.responseRate * responseRate +
+        MATCH_WEIGHTS.timeSinceDonation * timeSinceDonation;
+
+      return {
+        donor,
+        score: Math.round(score * 1000) / 1000,
+        factors: { compatibility, responseRate, timeSinceDonation },
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+const countPledges = (campaign) =>
+  campaign.contacts.filter((c) => c.response === "accepted").length;
+
+// Contact the next wave of best-ranked donors not yet reached
+// Marks the campaign exhausted when nobody is left to contact
+const sendCalloutWave = async (campaign, request) => {
+  const ranked = await rankDonorsForRequest(
+    request,
+    campaign.contacts.map((c) => c.donor)
+  );
+  const wave = ranked.slice(0, campaign.waveSize);
+
+  if (wave.length === 0) {
+    campaign.status = "exhausted";
+    campaign.completedAt = new Date();
+    return campaign;
+  }
+
+  campaign.currentWave += 1;
+  campaign.lastWaveAt = new Date();
+
+  for (const match of wave) {
+    const token = crypto.randomBytes(24).toString("hex");
+    campaign.contacts.push({
+      donor: match.donor._id,
+      wave: campaign.currentWave,
+      score: match.score,
+      tokenHash: hashToken(token),
+    });
+
+    await Donor.updateOne(
+      { _id: match.donor._id },
+      { $inc: { "calloutStats.contacted": 1 } }
+    );
+
+    const { email, phone } = parseContactInfo(match.donor.contactInfo);
+    const data = { request, link: `${APP_BASE_URL}/api/callouts/${token}` };
+    await queueDelivery("email", email, "callout", data, request._id);
+    await queueDelivery("sms", phone, "callout", data, request._id);
+  }
+
+  return campaign;
+};
+
+// Send the next wave for active campaigns that are still short of pledges
+const advanceCalloutCampaigns = async () => {
+  const campaigns = await CalloutCampaign.find({ status: "active" });
+  const now = Date.now();
+  let wavesSent = 0;
+  let campaignsClosed = 0;
+
+  for (const campaign of campaigns) {
+    const request = await BloodRequest.findById(campaign.request);
+
+    // Stop once the request is closed
+    if (!request || !["pending", "approved"].includes(request.status)) {
+      campaign.status = "cancelled";
+      campaign.completedAt = new Date();
+      await campaign.save();
+      campaignsClosed++;
+      continue;
+    }
+
+    const nextWaveAt =
+      campaign.lastWaveAt.getTime() + campaign.waveIntervalMinutes * 60 * 1000;
+
+    if (countPledges(campaign) < campaign.unitsNeeded && nextWaveAt <= now) {
+      await sendCalloutWave(campaign, request);
+      await campaign.save();
+      wavesSent++;
+    }
+  }
+  return { wavesSent, campaignsClosed };
+};
+
+const summarizeCampaign = (campaign) => {
+  const pledges = countPledges(campaign);
+  const waves = [];
+  for (let wave = 1; wave <= campaign.currentWave; wave++) {
+    const contacts = campaign.contacts.filter((c) => c.wave === wave);
+    waves.push({
+      wave,
+      contacted: contacts.length,
+      accepted: contacts.filter((c) => c.response === "accepted").length,
+      declined: contacts.filter((c) => c.response === "declined").length,
+      pending: contacts.filter((c) => c.response === "pending").length,
+    });
+  }
+
+  return {
+    _id: campaign._id,
+    request: campaign.request,
+    status: campaign.status,
+    unitsNeeded: campaign.unitsNeeded,
+    pledges,
+    remaining: Math.max(campaign.unitsNeeded - pledges, 0),
+    currentWave: campaign.currentWave,
+    waveSize: campaign.waveSize,
+    waveIntervalMinutes: campaign.waveIntervalMinutes,
+    lastWaveAt: campaign.lastWaveAt,
+    waves,
+    contacts: campaign.contacts.map((c) => ({
+      donor: c.donor,
+      wave: c.wave,
+      score: c.score,
+      response: c.response,
+      contactedAt: c.contactedAt,
+      respondedAt: c.respondedAt,
+    })),
+    createdAt: campaign.createdAt,
+    completedAt: campaign.completedAt,
+  };
+};
+
+// Donor Eligibility
+
+const isActiveDeferral = (deferral, asOf = new Date()) =>
+  !deferral.liftedAt &&
+  (deferral.type === "permanent" || deferral.endDate > asOf);
+
+// Work out when a donor may next donate from their donations and deferrals
+const calculateEligibility = (donor, asOf = new Date()) => {
+  const reasons = [];
+  let nextEligibleDate = null;
+
+  const pushBack = (date) => {
+    if (!nextEligibleDate || date > nextEligibleDate) nextEligibleDate = date;
+  };
+
+  const recorded = donor.donationHistory.filter((d) => !d.reversedAt);
+  const donations = recorded.length
+    ? recorded
+    : donor.donationHistory.length === 0 && donor.lastDonationDate
+      ? [{ date: donor.lastDonationDate, donationType: "whole_blood" }]
+      : [];
+
+  for (const donation of donations) {
+    const donationType = donation.donationType || "whole_blood";
+    const eligibleFrom = new Date(
+      new Date(donation.date).getTime() +
+        ELIGIBILITY_RULES[donationType] * DAY_MS
+    );
+    if (eligibleFrom > asOf) {
+      reasons.push(
+        `${donationType} donation on ${new Date(donation.date)
+          .toISOString()
+          .slice(0, 10)} requires a ${ELIGIBILITY_RULES[donationType]}-day gap`
+      );
+    }
+    pushBack(eligibleFrom);
+  }
+
+  const activeDeferrals = (donor.deferrals || []).filter((d) =>
+    isActiveDeferral(d, asOf)
+  );
+  const permanentDeferral = activeDeferrals.find((d) => d.type === "permanent");
+
+  if (permanentDeferral) {
+    return {
+      eligible: false,
+      nextEligibleDate: null,
+      permanentlyDeferred: true,
+      reasons: [`Permanently deferred: ${permanentDeferral.reason}`],
+    };
+  }
+
+  for (const deferral of activeDeferrals) {
+    reasons.push(
+      `Deferred until ${deferral.endDate.toISOString().slice(0, 10)}: ${
+        deferral.reason
+      }`
+    );
+    pushBack(deferral.endDate);
   }
+
+  return {
+    eligible: !nextEligibleDate || nextEligibleDate <= asOf,
+    nextEligibleDate,
+    permanentlyDeferred: false,
+    reasons,
+  };
+};
+
+// Query matching donors who may donate right now
+const eligibleDonorQuery = (asOf = new Date()) => ({
+  isPermanentlyDeferred: { $ne: true },
+  $or: [{ nextEligibleDate: null }, { nextEligibleDate: { $lte: asOf } }],
 });
 
-// Update blood inventory (Admin only)
-app.put(
-  "/api/inventory/:bloodType",
+// Recalculate stored eligibility for every donor, e.g. after the rules change
+const refreshDonorEligibility = async () => {
+  try {
+    let updated = 0;
+    for await (const donor of Donor.find()) {
+      const eligibility = calculateEligibility(donor);
+      const nextEligibleTime = eligibility.nextEligibleDate
+        ? eligibility.nextEligibleDate.getTime()
+        : null;
+      const storedTime = donor.nextEligibleDate
+        ? donor.nextEligibleDate.getTime()
+        : null;
+
+      if (
+        nextEligibleTime !== storedTime ||
+        eligibility.permanentlyDeferred !== donor.isPermanentlyDeferred
+      ) {
+        await Donor.updateOne(
+          { _id: donor._id },
+          {
+            nextEligibleDate: eligibility.nextEligibleDate,
+            isPermanentlyDeferred: eligibility.permanentlyDeferred,
+          }
+        );
+        updated++;
+      }
+    }
+    if (updated > 0) {
+      console.log(`Refreshed eligibility for ${updated} donor(s)`);
+    }
+  } catch (error) {
+    console.error("Error refreshing donor eligibility:", error);
+  }
+};
+
+// Donations
+
+const latestDonationDate = (donor) =>
+  donor.donationHistory
+    .filter((d) => !d.reversedAt)
+    .reduce(
+      (latest, d) => (!latest || d.date > latest ? d.date : latest),
+      null
+    );
+
+// Record a donation on a donor and credit inventory with its bags
+// Passed screening makes the bags available, pending keeps them quarantined
+// and failed screening adds nothing to stock
+const recordDonation = async (donor, details, actor) => {
+  const date = details.date ? new Date(details.date) : new Date();
+  const donationType = details.donationType || "whole_blood";
+  const units = parseInt(details.units) || 1;
+  const screeningResult = details.screeningResult || "pending";
+  const facility = details.facility || (await getDefaultFacility())._id;
+
+  let bags = [];
+  if (screeningResult !== "failed") {
+    bags = await BloodBag.insertMany(
+      Array.from({ length: units }, () => ({
+        bagId: generateBagId(),
+        bloodType: donor.bloodGroup,
+        facility,
+        donor: donor._id,
+        componentType: donationType,
+        collectionDate: date,
+        expiryDate: calculateExpiryDate(donationType, date),
+        status: screeningResult === "passed" ? "available" : "quarantined",
+      }))
+    );
+  }
+
+  donor.donationHistory.push({
+    date,
+    donationType,
+    locationType: details.locationType,
+    location: details.location,
+    camp: details.camp,
+    units,
+    volumeMl: details.volumeMl,
+    screeningResult,
+    bags: bags.map((bag) => bag._id),
+    recordedBy: actor && actor.userId,
+  });
+  donor.lastDonationDate = latestDonationDate(donor);
+  await donor.save();
+
+  if (bags.length > 0) {
+    await recordInventoryTransactions(
+      bags.filter((bag) => bag.status === "available"),
+      1,
+      "donation",
+      { actor, donorId: donor._id }
+    );
+    await syncInventoryCounts([donor.bloodGroup]);
+  }
+
+  return {
+    donation: donor.donationHistory[donor.donationHistory.length - 1],
+    bags,
+  };
+};
+
+// Donation Camps
+
+// Registrations that still hold a place at the camp
+const isActiveRegistration = (registration) =>
+  registration.status !== "cancelled";
+
+// Bookable time slots with how many places are left in each
+const campSlots = (camp) => {
+  const slotMs = camp.slotMinutes * 60 * 1000;
+  const starts = [];
+  for (
+    let time = camp.startsAt.getTime();
+    time + slotMs <= camp.endsAt.getTime();
+    time += slotMs
+  ) {
+    starts.push(new Date(time));
+  }
+
+  const slotCapacity =
+    camp.slotCapacity || Math.ceil(camp.capacity / Math.max(starts.length, 1));
+
+  return starts.map((start) => {
+    const registered = camp.registrations.filter(
+      (r) =>
+        isActiveRegistration(r) &&
+        r.slotStart &&
+        r.slotStart.getTime() === start.getTime()
+    ).length;
+    return {
+      start,
+      end: new Date(start.getTime() + slotMs),
+      capacity: slotCapacity,
+      registered,
+      available: Math.max(slotCapacity - registered, 0),
+    };
+  });
+};
+
+// Places left across the whole camp, walk-ins included
+const campPlacesLeft = (camp) =>
+  camp.capacity - camp.registrations.filter(isActiveRegistration).length;
+
+// Filter matching the camp only while it is announced, the donor holds no
+// place and there is a place left (in slot too, when given). Bookings are
+// pushed with it so two arriving together cannot both take the last place
+const campPlaceFilter = (camp, donorId, slot = null) => {
+  const activeCount = (...conditions) => ({
+    $size: {
+      $filter: {
+        input: "$registrations",
+        as: "r",
+        cond: { $and: [{ $ne: ["$$r.status", "cancelled"] }, ...conditions] },
+      },
+    },
+  });
+
+  return {
+    _id: camp._id,
+    status: "announced",
+    registrations: {
+      $not: { $elemMatch: { donor: donorId, status: { $ne: "cancelled" } } },
+    },
+    $expr: {
+      $and: [
+        { $lt: [activeCount(), "$capacity"] },
+        ...(slot
+          ? [
+              {
+                $lt: [
+                  activeCount({ $eq: ["$$r.slotStart", slot.start] }),
+                  slot.capacity,
+                ],
+              },
+            ]
+          : []),
+      ],
+    },
+  };
+};
+
+// Why a donor cannot take part in a camp, or null if they can
+const campEntryProblem = (camp, donor) => {
+  if (
+    camp.targetBloodGroups.length > 0 &&
+    !camp.targetBloodGroups.includes(donor.bloodGroup)
+  ) {
+    return `This camp is for ${camp.targetBloodGroups.join(", ")} donors`;
+  }
+  if (
+    camp.targetBranches.length > 0 &&
+    !camp.targetBranches.includes(donor.branch)
+  ) {
+    return `This camp is for the ${camp.targetBranches.join(", ")} branch(es)`;
+  }
+  return null;
+};
+
+// Look a donor up by donorId or rollNumber, as given in a request body
+const findDonorByReference = ({ donorId, rollNumber }) => {
+  if (donorId) {
+    return mongoose.Types.ObjectId.isValid(donorId)
+      ? Donor.findById(donorId)
+      : null;
+  }
+  return rollNumber ? Donor.findOne({ rollNumber }) : null;
+};
+
+// Email and text the donors a camp is aimed at who may donate on the day
+const inviteDonorsToCamp = async (camp) => {
+  try {
+    const query = { ...eligibleDonorQuery(camp.startsAt), isAvailable: true };
+    if (camp.targetBloodGroups.length > 0) {
+      query.bloodGroup = { $in: camp.targetBloodGroups };
+    }
+    if (camp.targetBranches.length > 0) {
+      query.branch = { $in: camp.targetBranches };
+    }
+
+    for await (const donor of Donor.find(query).select("contactInfo")) {
+      const { email, phone } = parseContactInfo(donor.contactInfo);
+      await queueDelivery(
+        "email",
+        email,
+        "donation_needed",
+        { camp },
+        camp._id
+      );
+      await queueDelivery("sms", phone, "donation_needed", { camp }, camp._id);
+    }
+  } catch (error) {
+    console.error("Error inviting donors to camp:", error);
+  }
+};
+
+// Book a donor into a camp slot
+// Returns { registration, slot }, or { status, code, message } when refused
+const bookCampSlot = async (camp, donor, slotStart) => {
+  const problem = campEntryProblem(camp, donor);
+  if (problem) {
+    return { status: 400, code: "NOT_ELIGIBLE", message: problem };
+  }
+
+  if (
+    camp.registrations.some(
+      (r) => isActiveRegistration(r) && String(r.donor) === String(donor._id)
+    )
+  ) {
+    return {
+      status: 400,
+      code: "ALREADY_EXISTS",
+      message: "Donor is already registered for this camp",
+    };
+  }
+
+  const slot = campSlots(camp).find(
+    (s) => s.start.getTime() === new Date(slotStart).getTime()
+  );
+  if (!slot) {
+    return {
+      status: 400,
+      code: "VALIDATION_ERROR",
+      message: "No such slot at this camp",
+      details: [{ location: "body", field: "slotStart" }],
+    };
+  }
+  if (slot.start <= new Date()) {
+    return {
+      status: 400,
+      code: "INVALID_STATE",
+      message: "This slot has already started",
+    };
+  }
+  if (slot.available === 0 || campPlacesLeft(camp) <= 0) {
+    return { status: 409, code: "CAMP_FULL", message: "This slot is full" };
+  }
+
+  const eligibility = calculateEligibility(donor, slot.start);
+  if (!eligibility.eligible) {
+    return {
+      status: 400,
+      code: "NOT_ELIGIBLE",
+      message: "Donor will not be eligible to donate on the camp date",
+      eligibility,
+    };
+  }
+
+  const booked = await DonationCamp.findOneAndUpdate(
+    campPlaceFilter(camp, donor._id, slot),
+    { $push: { registrations: { donor: donor._id, slotStart: slot.start } } },
+    { new: true }
+  );
+  if (!booked) {
+    return {
+      status: 409,
+      code: "CAMP_FULL",
+      message: "The last place in this slot was taken while booking",
+    };
+  }
+
+  return {
+    registration: booked.registrations.find(
+      (r) => isActiveRegistration(r) && String(r.donor) === String(donor._id)
+    ),
+    slot: { start: slot.start, end: slot.end },
+  };
+};
+
+// Mark a donor's place at a camp as donated before the donation is recorded,
+// so the same entry sent twice cannot be recorded twice. Donors without a
+// place are added as walk-ins. Returns the registration's ID and a function
+// that takes the claim back if the donation then fails
+const claimCampDonation = async (camp, donorId) => {
+  const registration = camp.registrations.find(
+    (r) => isActiveRegistration(r) && String(r.donor) === String(donorId)
+  );
+
+  if (registration) {
+    const { modifiedCount } = await DonationCamp.updateOne(
+      {
+        _id: camp._id,
+        registrations: {
+          $elemMatch: {
+            _id: registration._id,
+            status: { $nin: ["cancelled", "donated"] },
+          },
+        },
+      },
+      { $set: { "registrations.$.status": "donated" } }
+    );
+    if (!modifiedCount) {
+      throw new Error("Donation already recorded for this camp");
+    }
+    return {
+      registrationId: registration._id,
+      undo: () =>
+        DonationCamp.updateOne(
+          { _id: camp._id, "registrations._id": registration._id },
+          { $set: { "registrations.$.status": registration.status } }
+        ),
+    };
+  }
+
+  const registrationId = new mongoose.Types.ObjectId();
+  const { modifiedCount } = await DonationCamp.updateOne(
+    {
+      _id: camp._id,
+      registrations: {
+        $not: {
+          $elemMatch: { donor: donorId, status: { $ne: "cancelled" } },
+        },
+      },
+    },
+    {
+      $push: {
+        registrations: {
+          _id: registrationId,
+          donor: donorId,
+          walkIn: true,
+          status: "donated",
+        },
+      },
+    }
+  );
+  if (!modifiedCount) {
+    throw new Error("Donation already recorded for this camp");
+  }
+  return {
+    registrationId,
+    undo: () =>
+      DonationCamp.updateOne(
+        { _id: camp._id },
+        { $pull: { registrations: { _id: registrationId } } }
+      ),
+  };
+};
+
+// Units collected per blood group, registrations by outcome and no-shows
+const summarizeCamp = async (camp) => {
+  const donors = await Donor.find({ "donationHistory.camp": camp._id }).select(
+    "name rollNumber bloodGroup donationHistory"
+  );
+
+  const unitsByBloodGroup = {};
+  const screening = { pending: 0, passed: 0, failed: 0 };
+  let donations = 0;
+  let units = 0;
+  for (const donor of donors) {
+    for (const donation of donor.donationHistory) {
+      if (String(donation.camp) !== String(camp._id) || donation.reversedAt) {
+        continue;
+      }
+      donations++;
+      units += donation.units || 0;
+      screening[donation.screeningResult]++;
+      // Failed screening produces no usable units
+      if (donation.screeningResult !== "failed") {
+        unitsByBloodGroup[donor.bloodGroup] =
+          (unitsByBloodGroup[donor.bloodGroup] || 0) + (donation.units || 0);
+      }
+    }
+  }
+
+  const registrations = {
+    registered: 0,
+    checked_in: 0,
+    donated: 0,
+    no_show: 0,
+    cancelled: 0,
+  };
+  for (const registration of camp.registrations) {
+    registrations[registration.status]++;
+  }
+
+  const noShows = camp.registrations
+    .filter((r) => r.status === "no_show")
+    .map((r) => ({
+      donor: r.donor,
+      slotStart: r.slotStart,
+    }));
+
+  return {
+    campId: camp._id,
+    name: camp.name,
+    status: camp.status,
+    startsAt: camp.startsAt,
+    capacity: camp.capacity,
+    preRegistered: camp.registrations.filter((r) => !r.walkIn).length,
+    walkIns: camp.registrations.filter((r) => r.walkIn).length,
+    registrations,
+    donations,
+    unitsCollected: units,
+    unitsByBloodGroup,
+    screening,
+    noShows,
+  };
+};
+
+// Facilities
+
+// The bank's own store; used wherever no facility is given
+const getDefaultFacility = async () => {
+  let facility = await Facility.findOne({ isDefault: true });
+  if (!facility) {
+    facility = await Facility.findOneAndUpdate(
+      { code: "MAIN" },
+      {
+        $setOnInsert: {
+          name: "Main Blood Bank",
+          type: "blood_bank",
+          isDefault: true,
+        },
+      },
+      { upsert: true, new: true }
+    );
+  }
+  return facility;
+};
+
+// Find a facility by ID or code; falls back to the default facility when
+// nothing is given
+const resolveFacility = async (idOrCode) => {
+  if (!idOrCode) return getDefaultFacility();
+  return mongoose.Types.ObjectId.isValid(idOrCode)
+    ? Facility.findById(idOrCode)
+    : Facility.findOne({ code: String(idOrCode).toUpperCase() });
+};
+
+// Move records written before facilities existed to the default facility
+const migrateToFacilities = async () => {
+  try {
+    const facility = await getDefaultFacility();
+
+    // bloodType used to be unique on its own; now it is unique per facility
+    await BloodInventory.collection.dropIndex("bloodType_1").catch(() => {});
+    await BloodInventory.updateMany(
+      { facility: { $exists: false } },
+      { facility: facility._id }
+    );
+    await BloodInventory.syncIndexes();
+    await BloodBag.updateMany(
+      { facility: { $exists: false } },
+      { facility: facility._id }
+    );
+    await InventoryTransaction.collection.updateMany(
+      { facility: { $exists: false } },
+      { $set: { facility: facility._id } }
+    );
+  } catch (error) {
+    console.error("Error migrating to facilities:", error);
+  }
+};
+
+// Query for bags that can be issued right now
+const availableBagsQuery = (extra = {}) => ({
+  status: "available",
+  expiryDate: { $gt: new Date() },
+  ...extra,
+});
+
+const calculateExpiryDate = (componentType, collectionDate) =>
+  new Date(
+    new Date(collectionDate).getTime() +
+      COMPONENT_SHELF_LIFE_DAYS[componentType || "whole_blood"] * DAY_MS
+  );
+
+const COMPONENT_COMPATIBILITY = {
+  whole_blood: WHOLE_BLOOD_COMPATIBILITY,
+  plasma: PLASMA_COMPATIBILITY,
+};
+
+const getCompatibleBloodTypes = (bloodTypeNeeded, componentType) =>
+  (COMPONENT_COMPATIBILITY[componentType] || RED_CELL_COMPATIBILITY)[
+    bloodTypeNeeded
+  ] || [];
+
+// Suggest which compatible bags to issue for a request: exact matches first,
+// then the other compatible groups, earliest expiry first within each group
+const suggestAllocation = async (request, facilityId = null) => {
+  const compatibleTypes = getCompatibleBloodTypes(
+    request.bloodTypeNeeded,
+    request.componentNeeded
+  );
+  const allocation = [];
+  let remaining = request.unitsRequired;
+
+  for (const bloodType of compatibleTypes) {
+    if (remaining <= 0) break;
+
+    const bags = await BloodBag.find(
+      availableBagsQuery({
+        bloodType,
+        componentType: request.componentNeeded,
+        ...(facilityId && { facility: facilityId }),
+      })
+    )
+      .sort({ expiryDate: 1 })
+      .limit(remaining);
+
+    if (bags.length > 0) {
+      allocation.push({
+        bloodType,
+        exactMatch: bloodType === request.bloodTypeNeeded,
+        units: bags.length,
+        bagIds: bags.map((bag) => bag.bagId),
+        facilities: [...new Set(bags.map((bag) => String(bag.facility)))],
+      });
+      remaining -= bags.length;
+    }
+  }
+
+  return {
+    requestId: request._id,
+    bloodTypeNeeded: request.bloodTypeNeeded,
+    componentNeeded: request.componentNeeded,
+    unitsRequired: request.unitsRequired,
+    unitsAllocated: request.unitsRequired - remaining,
+    shortfall: remaining,
+    compatibleTypes,
+    allocation,
+  };
+};
+
+// Check that a confirmed allocation can be issued for a request
+// Returns { error } or { bags }
+const validateAllocation = async (request, bagIds) => {
+  if (!Array.isArray(bagIds) || bagIds.length === 0) {
+    return { error: "bagIds must list the bags to allocate" };
+  }
+
+  if (new Set(bagIds).size !== bagIds.length) {
+    return { error: "bagIds contains duplicates" };
+  }
+
+  if (bagIds.length !== request.unitsRequired) {
+    return {
+      error: `Allocation has ${bagIds.length} bag(s) but ${request.unitsRequired} unit(s) are required`,
+    };
+  }
+
+  const compatibleTypes = getCompatibleBloodTypes(
+    request.bloodTypeNeeded,
+    request.componentNeeded
+  );
+  const bags = await BloodBag.find({ bagId: { $in: bagIds } });
+  const now = new Date();
+
+  for (const bagId of bagIds) {
+    const bag = bags.find((b) => b.bagId === bagId);
+    if (!bag) {
+      return { error: `Blood bag ${bagId} not found` };
+    }
+    const reservedForRequest =
+      bag.status === "reserved" &&
+      String(bag.reservedFor) === String(request._id);
+    if (
+      (bag.status !== "available" && !reservedForRequest) ||
+      bag.expiryDate <= now
+    ) {
+      return { error: `Blood bag ${bagId} is not available` };
+    }
+    if (bag.componentType !== request.componentNeeded) {
+      return {
+        error: `Blood bag ${bagId} is ${bag.componentType}, request needs ${request.componentNeeded}`,
+      };
+    }
+    if (!compatibleTypes.includes(bag.bloodType)) {
+      return {
+        error: `Blood bag ${bagId} (${bag.bloodType}) is not compatible with ${request.bloodTypeNeeded}`,
+      };
+    }
+  }
+
+  return { bags };
+};
+
+// Requester Tracking
+
+// Tracking links are signed rather than stored, so they can be put in any
+// email about the request: "<request id>.<expiry>.<signature>"
+// Every email carries a fresh link, so a link lasts TRACKING_LINK_TTL_DAYS
+// from the latest email rather than from submission
+const TRACKING_SECRET = process.env.TRACKING_SECRET || JWT_SECRET;
+const TRACKING_LINK_TTL_DAYS =
+  parseInt(process.env.TRACKING_LINK_TTL_DAYS) || 30;
+
+const signTrackingId = (payload) =>
+  crypto
+    .createHmac("sha256", TRACKING_SECRET)
+    .update(payload)
+    .digest("base64url");
+
+const trackingTokenFor = (request) => {
+  // Expiry in seconds since the epoch
+  const expires = Math.floor(
+    (Date.now() + TRACKING_LINK_TTL_DAYS * DAY_MS) / 1000
+  );
+  const payload = `${request._id}.${expires}`;
+  return `${payload}.${signTrackingId(payload)}`;
+};
+
+const trackingUrlFor = (request) =>
+  `${APP_BASE_URL}/api/requests/track/${trackingTokenFor(request)}`;
+
+// { requestId } from a tracking token, { expired: true } once its expiry has
+// passed, or {} if the signature does not match
+const verifyTrackingToken = (token = "") => {
+  const [requestId, expires = "", signature = ""] = token.split(".");
+  if (!mongoose.Types.ObjectId.isValid(requestId) || !/^\d+$/.test(expires)) {
+    return {};
+  }
+
+  const expected = Buffer.from(signTrackingId(`${requestId}.${expires}`));
+  const given = Buffer.from(signature);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return {};
+  }
+  return Number(expires) * 1000 <= Date.now()
+    ? { expired: true }
+    : { requestId };
+};
+
+// What a requester may see about their own request: no admin notes, stock
+// or staff details
+const trackingView = (request) => {
+  const timeline = [
+    { event: "submitted", status: "pending", at: request.requestedAt },
+    ...request.statusHistory.map((change) => ({
+      event: "status_changed",
+      status: change.to,
+      at: change.changedAt,
+      ...(change.requesterNote && { note: change.requesterNote }),
+    })),
+    ...request.reports
+      .filter((report) => report.source === "tracking_link")
+      .map((report) => ({
+        event: "report_added",
+        at: report.uploadedAt,
+        filename: report.filename,
+      })),
+  ].sort((a, b) => a.at - b.at);
+
+  return {
+    patientName: request.patientName,
+    bloodTypeNeeded: request.bloodTypeNeeded,
+    componentNeeded: request.componentNeeded,
+    unitsRequired: request.unitsRequired,
+    hospitalName: request.hospitalName,
+    isEmergency: request.isEmergency,
+    status: request.status,
+    requesterNotes: request.requesterNotes || null,
+    requestedAt: request.requestedAt,
+    updatedAt: request.updatedAt,
+    canCancel: request.status === "pending",
+    canAddReports: ["pending", "approved"].includes(request.status),
+    // Downloaded from /api/requests/track/:token/reports/:fileId
+    reports: request.reports.map((report) => ({
+      fileId: report.fileId,
+      filename: report.filename,
+      documentType: report.documentType,
+      uploadedAt: report.uploadedAt,
+    })),
+    timeline,
+  };
+};
+
+// Hospital Reports
+
+const detectContentType = (buffer) => {
+  const match = REPORT_FILE_SIGNATURES.find(({ bytes }) =>
+    bytes.every((byte, index) => buffer[index] === byte)
+  );
+  return match ? match.contentType : null;
+};
+
+const EICAR_SIGNATURE =
+  "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+// Scanner adapters: each resolves to { clean, signature } for a file's
+// contents and throws when the scanner cannot be reached
+const fileScanners = {
+  none: {
+    scan: async () => ({ clean: true, signature: null }),
+  },
+  // Local stand-in for a virus scanner: only knows the EICAR test file, so
+  // uploads can be tested end to end without ClamAV
+  signature: {
+    scan: async (buffer) =>
+      buffer.includes(EICAR_SIGNATURE)
+        ? { clean: false, signature: "Eicar-Test-Signature" }
+        : { clean: true, signature: null },
+  },
+  // ClamAV daemon, using its INSTREAM command over TCP
+  clamd: {
+    scan: (buffer) =>
+      new Promise((resolve, reject) => {
+        const socket = net.createConnection({
+          host: process.env.CLAMD_HOST || "localhost",
+          port: parseInt(process.env.CLAMD_PORT) || 3310,
+        });
+        let reply = "";
+        socket.setTimeout(30 * 1000, () =>
+          socket.destroy(new Error("clamd timed out"))
+        );
+        socket.on("error", reject);
+        socket.on("data", (chunk) => (reply += chunk));
+        socket.on("end", () => {
+          // "stream: OK" or "stream: <signature> FOUND"
+          const result = reply.replace(/\0/g, "").trim();
+          const found = result.match(/^stream: (.+) FOUND$/);
+          if (found) resolve({ clean: false, signature: found[1] });
+          else if (result === "stream: OK") {
+            resolve({ clean: true, signature: null });
+          } else reject(new Error(`clamd replied ${result}`));
+        });
+        socket.on("connect", () => {
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(buffer.length);
+          socket.write("zINSTREAM\0");
+          socket.write(length);
+          socket.write(buffer);
+          socket.end(Buffer.alloc(4));
+        });
+      }),
+  },
+};
+
+// Check uploaded reports before anything is stored: each must really be an
+// image or PDF and pass the virus scan. Returns { status, code, message,
+// field } describing the first problem, or null
+const checkReportFiles = async (files, documentTypes = []) => {
+  if (documentTypes.length > files.length) {
+    return {
+      status: 400,
+      code: "VALIDATION_ERROR",
+      message: "documentTypes lists more labels than there are files",
+      field: "documentTypes",
+    };
+  }
+
+  for (const file of files) {
+    file.detectedType = detectContentType(file.buffer);
+    if (!file.detectedType) {
+      return {
+        status: 415,
+        code: "UNSUPPORTED_FILE_TYPE",
+        message: `${file.originalname} is not an image or PDF`,
+        field: file.fieldname,
+      };
+    }
+
+    let result;
+    try {
+      result = await fileScanners[FILE_SCANNER].scan(file.buffer);
+    } catch (error) {
+      console.error("Error scanning upload:", error);
+      return {
+        status: 503,
+        code: "SCAN_UNAVAILABLE",
+        message: "Files cannot be scanned right now; try again later",
+        field: file.fieldname,
+      };
+    }
+    if (!result.clean) {
+      return {
+        status: 422,
+        code: "INFECTED_FILE",
+        message: `${file.originalname} was rejected by the virus scan (${result.signature})`,
+        field: file.fieldname,
+      };
+    }
+  }
+  return null;
+};
+
+const sendFileRejection = (res, rejection) =>
+  sendError(res, rejection.status, rejection.code, rejection.message, [
+    { location: "body", field: rejection.field },
+  ]);
+
+// Resolves once GridFS has stored the whole file
+const saveUpload = (file) =>
+  new Promise((resolve, reject) => {
+    const uploadStream = gfsBucket.openUploadStream(file.originalname, {
+      contentType: file.detectedType,
+    });
+    uploadStream.once("finish", () => resolve(uploadStream.id));
+    uploadStream.once("error", reject);
+    uploadStream.end(file.buffer);
+  });
+
+// Store files already passed by checkReportFiles; documentTypes labels them
+// in order. Returns the entries for the request's reports list.
+const storeReports = async (files, documentTypes = [], source) => {
+  const reports = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      reports.push({
+        fileId: await saveUpload(file),
+        // Quotes and control characters would break Content-Disposition
+        filename: file.originalname.replace(/["\\\x00-\x1f]/g, "_"),
+        documentType: documentTypes[index] || "other",
+        contentType: file.detectedType,
+        size: file.size,
+        scanner: FILE_SCANNER,
+        source,
+      });
+    }
+  } catch (error) {
+    // Don't leave half a submission behind
+    await Promise.all(
+      reports.map((report) => gfsBucket.delete(report.fileId).catch(() => {}))
+    );
+    throw error;
+  }
+  return reports;
+};
+
+const logFileAccess = (fileId, request, req, via, granted) =>
+  FileAccessLog.create({
+    fileId,
+    request: request && request._id,
+    user: req.user && req.user.userId,
+    email: req.user ? req.user.email : request && request.collegeEmail,
+    via,
+    granted,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+  }).catch((error) => console.error("Error logging file access:", error));
+
+const streamReport = async (res, report) => {
+  const [file] = await gfsBucket.find({ _id: report.fileId }).toArray();
+  if (!file) {
+    return sendError(res, 404, "NOT_FOUND", "File not found");
+  }
+
+  res.set({
+    "Content-Type": file.contentType,
+    "Content-Disposition": `inline; filename="${report.filename}"`,
+    "X-Content-Type-Options": "nosniff",
+  });
+  gfsBucket
+    .openDownloadStream(file._id)
+    .on("error", () => res.end())
+    .pipe(res);
+};
+
+// Reports used to be split into hospitalReportsFileId (sent with the
+// request) and additionalReports (added from the tracking link)
+const migrateRequestReports = async () => {
+  try {
+    const requests = await BloodRequest.collection
+      .find({
+        $or: [
+          { hospitalReportsFileId: { $exists: true } },
+          { additionalReports: { $exists: true } },
+        ],
+      })
+      .toArray();
+
+    for (const request of requests) {
+      const reports = [
+        ...(request.hospitalReportsFileId
+          ? [
+              {
+                fileId: request.hospitalReportsFileId,
+                filename: "hospital-report",
+                documentType: "hospital_report",
+                source: "submission",
+                uploadedAt: request.requestedAt,
+              },
+            ]
+          : []),
+        ...(request.additionalReports || []).map((report) => ({
+          fileId: report.fileId,
+          filename: report.filename,
+          documentType: "other",
+          source: "tracking_link",
+          uploadedAt: report.uploadedAt,
+        })),
+      ];
+      await BloodRequest.collection.updateOne(
+        { _id: request._id },
+        {
+          $push: { reports: { $each: reports } },
+          $unset: { hospitalReportsFileId: "", additionalReports: "" },
+        }
+      );
+    }
+  } catch (error) {
+    console.error("Error migrating request reports:", error);
+  }
+};
+
+// Request Screening
+
+// Matches typed-in text ignoring case and extra spaces
+const looseMatch = (text) =>
+  new RegExp(
+    `^\\s*${text.trim().split(/\s+/).map(escapeRegExp).join("\\s+")}\\s*$`,
+    "i"
+  );
+
+const normalizeRequester = (text) => text.trim().toLowerCase();
+
+// Fill in the normalized requester fields on requests made before they existed
+const migrateRequesterFields = async () => {
+  try {
+    await BloodRequest.collection.updateMany(
+      { normalizedEmail: { $exists: false } },
+      [
+        {
+          $set: {
+            normalizedRollNumber: {
+              $toLower: { $trim: { input: "$collegeRollNumber" } },
+            },
+            normalizedEmail: {
+              $toLower: { $trim: { input: "$collegeEmail" } },
+            },
+          },
+        },
+      ]
+    );
+  } catch (error) {
+    console.error("Error migrating requester fields:", error);
+  }
+};
+
+// The submission limit a requester or address has reached, with when the
+// next request will be accepted; null when under both
+const checkSubmissionLimits = async (
+  { collegeRollNumber, collegeEmail },
+  ip
+) => {
+  const windowMs = REQUEST_LIMIT_WINDOW_HOURS * 60 * 60 * 1000;
+  const since = new Date(Date.now() - windowMs);
+  const limits = [
+    {
+      by: "requester",
+      max: MAX_REQUESTS_PER_REQUESTER,
+      filter: {
+        $or: [
+          { normalizedRollNumber: normalizeRequester(collegeRollNumber) },
+          { normalizedEmail: normalizeRequester(collegeEmail) },
+        ],
+      },
+    },
+    ...(ip
+      ? [
+          {
+            by: "ip",
+            max: MAX_REQUESTS_PER_IP,
+            filter: { submittedFromIp: ip },
+          },
+        ]
+      : []),
+  ];
+
+  for (const { by, max, filter } of limits) {
+    // The limit lifts when the max-th newest request leaves the window
+    const [counted] = await BloodRequest.find({
+      ...filter,
+      requestedAt: { $gte: since },
+    })
+      .sort({ requestedAt: -1 })
+      .skip(max - 1)
+      .limit(1)
+      .select("requestedAt");
+    if (counted) {
+      return {
+        by,
+        retryAt: new Date(counted.requestedAt.getTime() + windowMs),
+      };
+    }
+  }
+  return null;
+};
+
+// The oldest open request from the last DUPLICATE_REQUEST_WINDOW_HOURS for the
+// same patient, blood type and hospital
+const findDuplicateRequest = (request) =>
+  BloodRequest.findOne({
+    _id: { $ne: request._id },
+    status: { $in: ["pending", "approved"] },
+    bloodTypeNeeded: request.bloodTypeNeeded,
+    patientName: looseMatch(request.patientName),
+    hospitalName: looseMatch(request.hospitalName),
+    requestedAt: {
+      $gte: new Date(
+        Date.now() - DUPLICATE_REQUEST_WINDOW_HOURS * 60 * 60 * 1000
+      ),
+    },
+  }).sort({ requestedAt: 1 });
+
+const duplicateFlag = (original) => {
+  const hours = Math.floor(
+    (Date.now() - original.requestedAt) / (60 * 60 * 1000)
+  );
+  return {
+    status: "open",
+    reason: `Same patient, blood type and hospital as request ${original._id}, submitted ${hours} hour(s) earlier`,
+    duplicateOf: original._id,
+    flaggedAt: new Date(),
+  };
+};
+
+// Alert staff and matching donors about an emergency request
+const announceEmergencyRequest = async (request) => {
+  await createNotification(
+    "emergency_request",
+    "Emergency Blood Request",
+    `Urgent: ${request.unitsRequired} units of ${request.bloodTypeNeeded} (${request.componentNeeded}) needed for ${request.patientName}`,
+    request._id,
+    { request }
+  );
+
+  // Reach matching eligible donors without holding up the response
+  notifyEligibleDonors(request);
+};
+
+// Request Workflow
+
+const recordStatusChange = (request, status, actor, notes, requesterNote) => {
+  request.statusHistory.push({
+    from: request.status,
+    to: status,
+    changedBy: actor && actor.userId,
+    changedByEmail: actor && actor.email,
+    notes,
+    requesterNote,
+  });
+  if (requesterNote) request.requesterNotes = requesterNote;
+  request.status = status;
+  request.updatedAt = new Date();
+};
+
+const hasActiveReservation = (request) =>
+  Boolean(
+    request.reservation &&
+    request.reservation.reservedAt &&
+    !request.reservation.releasedAt
+  );
+
+// Reserve bags for an approved request so no other request can claim them
+// Returns false if any bag was taken in the meantime
+const reserveBags = async (request, bags, actor) => {
+  const ids = bags.map((bag) => bag._id);
+  const now = new Date();
+  const expiresAt = new Date(
+    now.getTime() + RESERVATION_WINDOW_HOURS * 60 * 60 * 1000
+  );
+
+  const result = await BloodBag.updateMany(
+    availableBagsQuery({ _id: { $in: ids } }),
+    {
+      status: "reserved",
+      reservedFor: request._id,
+      reservedUntil: expiresAt,
+      updatedAt: now,
+    }
+  );
+
+  if (result.modifiedCount !== bags.length) {
+    await BloodBag.updateMany(
+      { _id: { $in: ids }, status: "reserved", reservedFor: request._id },
+      { status: "available", $unset: { reservedFor: 1, reservedUntil: 1 } }
+    );
+    return false;
+  }
+
+  await recordInventoryTransactions(bags, -1, "reservation", {
+    actor,
+    requestId: request._id,
+    notes: "Reserved on approval",
+  });
+  await syncInventoryCounts([...new Set(bags.map((bag) => bag.bloodType))]);
+
+  request.reservation = {
+    bags: ids,
+    reservedAt: now,
+    expiresAt,
+    releasedAt: null,
+    releaseReason: null,
+  };
+  return true;
+};
+
+// Put a request's reserved bags back into available stock
+const releaseReservation = async (request, releaseReason, actor) => {
+  const bags = await BloodBag.find({
+    reservedFor: request._id,
+    status: "reserved",
+    expiryDate: { $gt: new Date() },
+  });
+
+  await BloodBag.updateMany(
+    { _id: { $in: bags.map((bag) => bag._id) }, status: "reserved" },
+    {
+      status: "available",
+      $unset: { reservedFor: 1, reservedUntil: 1 },
+      updatedAt: new Date(),
+    }
+  );
+  await recordInventoryTransactions(bags, 1, "reservation", {
+    actor,
+    requestId: request._id,
+    notes: `Reservation released: ${releaseReason}`,
+  });
+  await syncInventoryCounts([...new Set(bags.map((bag) => bag.bloodType))]);
+
+  if (request.reservation) {
+    request.reservation.releasedAt = new Date();
+    request.reservation.releaseReason = releaseReason;
+  }
+};
+
+// Issue bags to a request. Bags may be available or reserved for this request;
+// any of its reserved bags not being issued go back into stock
+// Returns false if an available bag was taken in the meantime
+const issueBags = async (request, bags, actor, notes) => {
+  const now = new Date();
+  const reservedBags = bags.filter((bag) => bag.status === "reserved");
+  const availableBags = bags.filter((bag) => bag.status === "available");
+  const availableIds = availableBags.map((bag) => bag._id);
+
+  const result = await BloodBag.updateMany(
+    availableBagsQuery({ _id: { $in: availableIds } }),
+    { status: "issued", issuedTo: request._id, updatedAt: now }
+  );
+
+  if (result.modifiedCount !== availableBags.length) {
+    await BloodBag.updateMany(
+      { _id: { $in: availableIds }, status: "issued", issuedTo: request._id },
+      { status: "available", $unset: { issuedTo: 1 } }
+    );
+    return false;
+  }
+
+  await BloodBag.updateMany(
+    {
+      _id: { $in: reservedBags.map((bag) => bag._id) },
+      status: "reserved",
+      reservedFor: request._id,
+    },
+    {
+      status: "issued",
+      issuedTo: request._id,
+      $unset: { reservedFor: 1, reservedUntil: 1 },
+      updatedAt: now,
+    }
+  );
+
+  const context = { actor, requestId: request._id, notes };
+  await recordInventoryTransactions(reservedBags, 1, "reservation", {
+    ...context,
+    notes: "Reservation released for issue",
+  });
+  await recordInventoryTransactions(bags, -1, "issue", context);
+
+  if (hasActiveReservation(request)) {
+    await releaseReservation(request, "fulfilled", actor);
+  }
+
+  await syncInventoryCounts([...new Set(bags.map((bag) => bag.bloodType))]);
+  return true;
+};
+
+// Release reservations on approved requests that were not fulfilled in time
+const releaseExpiredReservations = async () => {
+  const requests = await BloodRequest.find({
+    status: "approved",
+    "reservation.expiresAt": { $lte: new Date() },
+    "reservation.releasedAt": null,
+  });
+
+  for (const request of requests) {
+    await releaseReservation(request, "expired");
+    await request.save();
+  }
+  return { releasedReservations: requests.length };
+};
+
+const generateBagId = () =>
+  `BB-${new Date().toISOString().slice(0, 10).replace(/-/g, "")}-${crypto
+    .randomBytes(3)
+    .toString("hex")
+    .toUpperCase()}`;
+
+// Available units per blood type, broken down by component
+// e.g. { "A+": { whole_blood: 3, prbc: 2, plasma: 4, platelets: 0 }, ... }
+const getComponentAvailability = async (extra = {}) => {
+  const counts = await BloodBag.aggregate([
+    { $match: availableBagsQuery(extra) },
+    {
+      $group: {
+        _id: { bloodType: "$bloodType", componentType: "$componentType" },
+        units: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const availability = {};
+  for (const bloodType of BLOOD_TYPES) {
+    availability[bloodType] = {};
+    for (const componentType of COMPONENT_TYPES) {
+      availability[bloodType][componentType] = 0;
+    }
+  }
+  for (const count of counts) {
+    availability[count._id.bloodType][count._id.componentType] = count.units;
+  }
+  return availability;
+};
+
+// Append ledger entries for bags entering (direction 1) or leaving
+// (direction -1) available stock, one entry per facility, blood type and
+// component
+// context: { actor: req.user, requestId, donorId, transferId, notes }
+const recordInventoryTransactions = async (
+  bags,
+  direction,
+  reason,
+  context = {}
+) => {
+  if (bags.length === 0) return;
+
+  const groups = {};
+  for (const bag of bags) {
+    const key = `${bag.facility}|${bag.bloodType}|${bag.componentType}`;
+    groups[key] = groups[key] || [];
+    groups[key].push(bag);
+  }
+
+  await InventoryTransaction.insertMany(
+    Object.values(groups).map((group) => ({
+      facility: group[0].facility,
+      bloodType: group[0].bloodType,
+      componentType: group[0].componentType,
+      delta: direction * group.length,
+      reason,
+      bags: group.map((bag) => bag._id),
+      relatedRequest: context.requestId,
+      relatedDonor: context.donorId,
+      relatedTransfer: context.transferId,
+      performedBy: context.actor && context.actor.userId,
+      performedByEmail: context.actor && context.actor.email,
+      notes: context.notes,
+    }))
+  );
+};
+
+// Give every facility, blood type and component that has stock but no ledger
+// yet an opening balance, so the ledger adds up to the bags on the shelf.
+// Bags there that are past expiry but not yet swept never entered the ledger,
+// so they are expired here rather than debited by the sweep.
+const recordOpeningBalances = async () => {
+  try {
+    const groupKey = {
+      facility: "$facility",
+      bloodType: "$bloodType",
+      componentType: "$componentType",
+    };
+    const [counts, stale] = await Promise.all([
+      BloodBag.aggregate([
+        { $match: availableBagsQuery() },
+        { $group: { _id: groupKey, bags: { $push: "$_id" } } },
+      ]),
+      BloodBag.aggregate([
+        { $match: { status: "available", expiryDate: { $lte: new Date() } } },
+        { $group: { _id: groupKey, bags: { $push: "$_id" } } },
+      ]),
+    ]);
+
+    const groups = new Map();
+    for (const count of counts) {
+      groups.set(JSON.stringify(count._id), {
+        key: count._id,
+        bags: count.bags,
+      });
+    }
+    for (const count of stale) {
+      const id = JSON.stringify(count._id);
+      groups.set(id, {
+        key: count._id,
+        bags: [],
+        ...groups.get(id),
+        staleBags: count.bags,
+      });
+    }
+
+    const expiredTypes = new Set();
+    for (const { key, bags, staleBags = [] } of groups.values()) {
+      const hasLedger = await InventoryTransaction.exists(key);
+      if (hasLedger) continue;
+
+      if (bags.length > 0) {
+        await InventoryTransaction.create({
+          ...key,
+          delta: bags.length,
+          reason: "manual_adjustment",
+          bags,
+          notes: "Opening balance",
+        });
+      }
+      if (staleBags.length > 0) {
+        await BloodBag.updateMany(
+          { _id: { $in: staleBags }, status: "available" },
+          { status: "expired", updatedAt: new Date() }
+        );
+        expiredTypes.add(key.bloodType);
+      }
+    }
+    if (expiredTypes.size > 0) await syncInventoryCounts([...expiredTypes]);
+  } catch (error) {
+    console.error("Error recording opening balances:", error);
+  }
+};
+
+// Recompute unitsAvailable on the inventory rows of every facility from the
+// bags themselves
+const syncInventoryCounts = async (bloodTypes = BLOOD_TYPES) => {
+  const [facilities, counts] = await Promise.all([
+    Facility.find({ isActive: true }).select("_id"),
+    BloodBag.aggregate([
+      { $match: availableBagsQuery({ bloodType: { $in: bloodTypes } }) },
+      {
+        $group: {
+          _id: { facility: "$facility", bloodType: "$bloodType" },
+          units: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  const facilityIds = new Set(facilities.map((f) => String(f._id)));
+  counts.forEach((c) => facilityIds.add(String(c._id.facility)));
+
+  for (const facilityId of facilityIds) {
+    for (const bloodType of bloodTypes) {
+      const count = counts.find(
+        (c) =>
+          String(c._id.facility) === facilityId && c._id.bloodType === bloodType
+      );
+      await BloodInventory.findOneAndUpdate(
+        { facility: facilityId, bloodType },
+        { unitsAvailable: count ? count.units : 0, lastUpdated: new Date() },
+        { upsert: true }
+      );
+    }
+  }
+};
+
+// Mark bags past their expiry date as expired and alert on any facility and
+// blood type that the expiry pushed below its threshold
+const expireBloodBags = async () => {
+  const now = new Date();
+  const expiredBags = await BloodBag.find({
+    status: { $in: ["quarantined", "available", "reserved"] },
+    expiryDate: { $lte: now },
+  }).select("bloodType componentType status facility");
+
+  if (expiredBags.length === 0) return { expiredBags: 0 };
+
+  const bloodTypes = [...new Set(expiredBags.map((bag) => bag.bloodType))];
+
+  await BloodBag.updateMany(
+    { _id: { $in: expiredBags.map((bag) => bag._id) } },
+    { status: "expired", updatedAt: now }
+  );
+  await recordInventoryTransactions(
+    expiredBags.filter((bag) => bag.status === "available"),
+    -1,
+    "expiry",
+    { notes: "Automatic expiry sweep" }
+  );
+  await syncInventoryCounts(bloodTypes);
+
+  return { expiredBags: expiredBags.length, ...(await raiseLowStockAlerts()) };
+};
+
+// Analytics
+// Every report is one aggregation pipeline over the raw records, bucketed by
+// groupBy into UTC periods
+
+// Date range and period of an analytics query; the range defaults to the
+// last ANALYTICS_DEFAULT_DAYS days
+const analyticsOptions = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - ANALYTICS_DEFAULT_DAYS * DAY_MS);
+  return { from, to, groupBy: query.groupBy || "week" };
+};
+
+// Label of the period a date falls in, e.g. "2025-08", or "2025-W32" for
+// ISO weeks
+const periodOf = (date, groupBy) => ({
+  $dateToString: { format: ANALYTICS_PERIOD_FORMATS[groupBy], date },
+});
+
+// Median of an array that is already sorted
+const medianOf = (sorted) => ({
+  $let: {
+    vars: { last: { $subtract: [{ $size: sorted }, 1] } },
+    in: {
+      $cond: [
+        { $lt: ["$$last", 0] },
+        null,
+        {
+          $avg: [
+            {
+              $arrayElemAt: [sorted, { $floor: { $divide: ["$$last", 2] } }],
+            },
+            { $arrayElemAt: [sorted, { $ceil: { $divide: ["$$last", 2] } }] },
+          ],
+        },
+      ],
+    },
+  },
+});
+
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Share of closed requests that were fulfilled, or null if none are closed
+const fulfilmentRate = {
+  $cond: [
+    { $gt: [{ $add: ["$fulfilled", "$rejected", "$cancelled"] }, 0] },
+    {
+      $round: [
+        {
+          $divide: [
+            "$fulfilled",
+            { $add: ["$fulfilled", "$rejected", "$cancelled"] },
+          ],
+        },
+        3,
+      ],
+    },
+    null,
+  ],
+};
+
+const requestDemandReport = ({ from, to, groupBy, bloodType }) =>
+  BloodRequest.aggregate([
+    {
+      $match: {
+        requestedAt: { $gte: from, $lte: to },
+        ...(bloodType && { bloodTypeNeeded: bloodType }),
+      },
+    },
+    {
+      $group: {
+        _id: {
+          period: periodOf("$requestedAt", groupBy),
+          bloodType: "$bloodTypeNeeded",
+        },
+        requests: { $sum: 1 },
+        unitsRequired: { $sum: "$unitsRequired" },
+        emergency: countWhere("$isEmergency"),
+        fulfilled: countWhere({ $eq: ["$status", "fulfilled"] }),
+        rejected: countWhere({ $eq: ["$status", "rejected"] }),
+        cancelled: countWhere({ $eq: ["$status", "cancelled"] }),
+      },
+    },
+    {
+      $facet: {
+        series: [
+          {
+            $group: {
+              _id: "$_id.period",
+              requests: { $sum: "$requests" },
+              unitsRequired: { $sum: "$unitsRequired" },
+              emergency: { $sum: "$emergency" },
+              fulfilled: { $sum: "$fulfilled" },
+              rejected: { $sum: "$rejected" },
+              cancelled: { $sum: "$cancelled" },
+              byBloodType: {
+                $push: {
+                  bloodType: "$_id.bloodType",
+                  requests: "$requests",
+                  unitsRequired: "$unitsRequired",
+                  fulfilled: "$fulfilled",
+                },
+              },
+            },
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              period: "$_id",
+              requests: 1,
+              unitsRequired: 1,
+              emergency: 1,
+              fulfilled: 1,
+              rejected: 1,
+              cancelled: 1,
+              fulfilmentRate,
+              byBloodType: 1,
+            },
+          },
+        ],
+        byBloodType: [
+          {
+            $group: {
+              _id: "$_id.bloodType",
+              requests: { $sum: "$requests" },
+              unitsRequired: { $sum: "$unitsRequired" },
+              fulfilled: { $sum: "$fulfilled" },
+              rejected: { $sum: "$rejected" },
+              cancelled: { $sum: "$cancelled" },
+            },
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              bloodType: "$_id",
+              requests: 1,
+              unitsRequired: 1,
+              fulfilled: 1,
+              fulfilmentRate,
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+// Hours from requestedAt to fulfilment, for fulfilled requests submitted in
+// the range
+const turnaroundReport = ({ from, to, groupBy, bloodType }) => {
+  const summary = (key) => [
+    { $group: { _id: key, hours: { $push: "$hours" } } },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        ...(key && { period: "$_id" }),
+        fulfilled: { $size: "$hours" },
+        averageHours: { $round: [{ $avg: "$hours" }, 1] },
+        medianHours: { $round: [medianOf("$hours"), 1] },
+        maxHours: { $round: [{ $max: "$hours" }, 1] },
+      },
+    },
+  ];
+
+  return BloodRequest.aggregate([
+    {
+      $match: {
+        status: "fulfilled",
+        requestedAt: { $gte: from, $lte: to },
+        ...(bloodType && { bloodTypeNeeded: bloodType }),
+      },
+    },
+    {
+      $project: {
+        period: periodOf("$requestedAt", groupBy),
+        isEmergency: 1,
+        fulfilledAt: {
+          $min: {
+            $map: {
+              input: {
+                $filter: {
+                  input: "$statusHistory",
+                  cond: { $eq: ["$$this.to", "fulfilled"] },
+                },
+              },
+              in: "$$this.changedAt",
+            },
+          },
+        },
+        requestedAt: 1,
+      },
+    },
+    { $match: { fulfilledAt: { $ne: null } } },
+    {
+      $project: {
+        period: 1,
+        isEmergency: 1,
+        hours: {
+          $divide: [{ $subtract: ["$fulfilledAt", "$requestedAt"] }, 3600000],
+        },
+      },
+    },
+    // Sorted first so each group's list of hours is in order for the median
+    { $sort: { hours: 1 } },
+    {
+      $facet: {
+        series: summary("$period"),
+        overall: summary(null),
+        emergency: [{ $match: { isEmergency: true } }, ...summary(null)],
+      },
+    },
+  ]);
+};
+
+// Available units at the end of each period, from the inventory ledger: the
+// balance before the range plus the changes within it
+const stockLevelReport = async ({
+  from,
+  to,
+  groupBy,
+  facility,
+  bloodType,
+  componentType,
+}) => {
+  const match = {
+    ...(facility && { facility: facility._id }),
+    ...(bloodType && { bloodType }),
+    ...(componentType && { componentType }),
+  };
+
+  const [[opening], changes] = await Promise.all([
+    InventoryTransaction.aggregate([
+      { $match: { ...match, createdAt: { $lt: from } } },
+      { $group: { _id: "$bloodType", units: { $sum: "$delta" } } },
+      { $group: { _id: null, levels: { $push: { k: "$_id", v: "$units" } } } },
+      { $project: { _id: 0, levels: { $arrayToObject: "$levels" } } },
+    ]),
+    InventoryTransaction.aggregate([
+      { $match: { ...match, createdAt: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: {
+            period: periodOf("$createdAt", groupBy),
+            bloodType: "$bloodType",
+          },
+          unitsIn: { $sum: { $max: ["$delta", 0] } },
+          unitsOut: { $sum: { $max: [{ $multiply: ["$delta", -1] }, 0] } },
+        },
+      },
+      {
+        $group: {
+          _id: "$_id.period",
+          changes: {
+            $push: {
+              bloodType: "$_id.bloodType",
+              unitsIn: "$unitsIn",
+              unitsOut: "$unitsOut",
+            },
+          },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+  ]);
+
+  // Running balance per blood type, carried from one period to the next
+  const levels = Object.fromEntries(
+    (bloodType ? [bloodType] : BLOOD_TYPES).map((type) => [
+      type,
+      (opening && opening.levels[type]) || 0,
+    ])
+  );
+  const openingLevels = { ...levels };
+
+  const series = changes.map(({ _id, changes }) => {
+    for (const change of changes) {
+      levels[change.bloodType] += change.unitsIn - change.unitsOut;
+    }
+    return {
+      period: _id,
+      unitsIn: changes.reduce((sum, change) => sum + change.unitsIn, 0),
+      unitsOut: changes.reduce((sum, change) => sum + change.unitsOut, 0),
+      levels: { ...levels },
+      total: Object.values(levels).reduce((sum, units) => sum + units, 0),
+    };
+  });
+
+  return { opening: openingLevels, series };
+};
+
+// Donations recorded in the range, per period and per branch, camp or blood
+// group; reversed donations are left out
+const donationReport = ({ from, to, groupBy, by }) => {
+  const dimension = {
+    branch: "$branch",
+    bloodGroup: "$bloodGroup",
+    camp: "$donationHistory.camp",
+  }[by];
+
+  const totals = (key) => ({
+    _id: key,
+    donations: { $sum: "$donations" },
+    units: { $sum: "$units" },
+    volumeMl: { $sum: "$volumeMl" },
+  });
+
+  return Donor.aggregate([
+    { $match: { "donationHistory.date": { $gte: from, $lte: to } } },
+    { $unwind: "$donationHistory" },
+    {
+      $match: {
+        "donationHistory.date": { $gte: from, $lte: to },
+        "donationHistory.reversedAt": null,
+      },
+    },
+    {
+      $group: {
+        _id: {
+          period: periodOf("$donationHistory.date", groupBy),
+          key: dimension,
+        },
+        donations: { $sum: 1 },
+        units: { $sum: { $ifNull: ["$donationHistory.units", 1] } },
+        volumeMl: { $sum: { $ifNull: ["$donationHistory.volumeMl", 0] } },
+      },
+    },
+    // Camp IDs are shown with the camp's name
+    ...(by === "camp"
+      ? [
+          {
+            $lookup: {
+              from: DonationCamp.collection.name,
+              localField: "_id.key",
+              foreignField: "_id",
+              as: "camp",
+            },
+          },
+          {
+            $set: {
+              "_id.name": {
+                $ifNull: [{ $first: "$camp.name" }, "Not at a camp"],
+              },
+            },
+          },
+        ]
+      : []),
+    {
+      $facet: {
+        series: [
+          {
+            $group: {
+              ...totals("$_id.period"),
+              breakdown: {
+                $push: {
+                  key: "$_id.key",
+                  name: "$_id.name",
+                  donations: "$donations",
+                  units: "$units",
+                },
+              },
+            },
+          },
+          { $sort: { _id: 1 } },
+          { $set: { period: "$_id" } },
+          { $unset: "_id" },
+        ],
+        breakdown: [
+          {
+            $group: {
+              ...totals("$_id.key"),
+              name: { $first: "$_id.name" },
+            },
+          },
+          { $sort: { donations: -1 } },
+          { $set: { key: "$_id" } },
+          { $unset: "_id" },
+        ],
+      },
+    },
+  ]);
+};
+
+// Units lost to expiry and discards against units that came into stock from
+// donations
+const wastageReport = ({ from, to, groupBy, facility }) => {
+  const rate = {
+    $cond: [
+      { $gt: ["$donated", 0] },
+      { $round: [{ $divide: ["$wasted", "$donated"] }, 3] },
+      null,
+    ],
+  };
+  const sumReason = (reason) => ({
+    $sum: { $cond: [{ $eq: ["$_id.reason", reason] }, "$units", 0] },
+  });
+
+  return InventoryTransaction.aggregate([
+    {
+      $match: {
+        reason: { $in: ["expiry", "discard", "donation"] },
+        createdAt: { $gte: from, $lte: to },
+        ...(facility && { facility: facility._id }),
+      },
+    },
+    {
+      $group: {
+        _id: {
+          period: periodOf("$createdAt", groupBy),
+          bloodType: "$bloodType",
+          componentType: "$componentType",
+          reason: "$reason",
+        },
+        units: { $sum: { $abs: "$delta" } },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          period: "$_id.period",
+          bloodType: "$_id.bloodType",
+          componentType: "$_id.componentType",
+        },
+        expired: sumReason("expiry"),
+        discarded: sumReason("discard"),
+        donated: sumReason("donation"),
+      },
+    },
+    { $set: { wasted: { $add: ["$expired", "$discarded"] } } },
+    {
+      $facet: {
+        series: [
+          {
+            $group: {
+              _id: "$_id.period",
+              expired: { $sum: "$expired" },
+              discarded: { $sum: "$discarded" },
+              wasted: { $sum: "$wasted" },
+              donated: { $sum: "$donated" },
+            },
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              period: "$_id",
+              expired: 1,
+              discarded: 1,
+              wasted: 1,
+              donated: 1,
+              wastageRate: rate,
+            },
+          },
+        ],
+        byComponent: [
+          {
+            $group: {
+              _id: {
+                bloodType: "$_id.bloodType",
+                componentType: "$_id.componentType",
+              },
+              expired: { $sum: "$expired" },
+              discarded: { $sum: "$discarded" },
+              wasted: { $sum: "$wasted" },
+              donated: { $sum: "$donated" },
+            },
+          },
+          { $match: { wasted: { $gt: 0 } } },
+          { $sort: { wasted: -1 } },
+          {
+            $project: {
+              _id: 0,
+              bloodType: "$_id.bloodType",
+              componentType: "$_id.componentType",
+              expired: 1,
+              discarded: 1,
+              wasted: 1,
+              wastageRate: rate,
+            },
+          },
+        ],
+      },
+    },
+  ]);
+};
+
+// Demand Forecasting
+// Daily demand per blood type is smoothed exponentially after taking out a
+// weekly pattern (one index per weekday: that weekday's demand over the
+// average day), then projected forward with the pattern put back
+
+const startOfUtcDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+// Units asked for per blood type on each of the last `days` whole days,
+// oldest first; cancelled requests are not demand
+const dailyDemand = async (days, today) => {
+  const start = new Date(today.getTime() - days * DAY_MS);
+  const rows = await BloodRequest.aggregate([
+    {
+      $match: {
+        requestedAt: { $gte: start, $lt: today },
+        status: { $ne: "cancelled" },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          bloodType: "$bloodTypeNeeded",
+          day: periodOf("$requestedAt", "day"),
+        },
+        units: { $sum: "$unitsRequired" },
+      },
+    },
+  ]);
+
+  const series = Object.fromEntries(
+    BLOOD_TYPES.map((type) => [type, new Array(days).fill(0)])
+  );
+  for (const row of rows) {
+    const index = Math.round((new Date(row._id.day) - start) / DAY_MS);
+    series[row._id.bloodType][index] = row.units;
+  }
+  return { start, series };
+};
+
+// Forecast units needed on each of the next horizonDays days from a daily
+// history that began on `start`
+const forecastDemand = (history, start, horizonDays) => {
+  const weekdayOf = (index) =>
+    new Date(start.getTime() + index * DAY_MS).getUTCDay();
+  const mean = (values) =>
+    values.length
+      ? values.reduce((sum, value) => sum + value, 0) / values.length
+      : 0;
+
+  const average = mean(history);
+  const weekly = [0, 1, 2, 3, 4, 5, 6].map((weekday) =>
+    average > 0
+      ? mean(history.filter((_, index) => weekdayOf(index) === weekday)) /
+        average
+      : 1
+  );
+
+  let level = average;
+  for (const [index, units] of history.entries()) {
+    const factor = weekly[weekdayOf(index)];
+    // A weekday that never sees demand says nothing about the level
+    const deseasonalised = factor > 0 ? units / factor : level;
+    level =
+      FORECAST_SMOOTHING * deseasonalised + (1 - FORECAST_SMOOTHING) * level;
+  }
+
+  return {
+    level,
+    weekly,
+    daily: Array.from(
+      { length: horizonDays },
+      (_, day) => level * weekly[weekdayOf(history.length + day)]
+    ),
+  };
+};
+
+// Days until the forecast demand uses up the stock, or null when no demand is
+// expected; past the horizon the average daily rate is assumed
+const daysOfSupply = (units, daily) => {
+  let remaining = units;
+  for (const [day, demand] of daily.entries()) {
+    if (demand > 0 && demand >= remaining) return day + remaining / demand;
+    remaining -= demand;
+  }
+  const averageDaily =
+    daily.reduce((sum, demand) => sum + demand, 0) / daily.length;
+  return averageDaily > 0 ? daily.length + remaining / averageDaily : null;
+};
+
+const round = (value, places = 1) =>
+  value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+// Forecast, days of supply and suggested low-stock threshold for every blood
+// type, with the groups that most need a donation drive first
+const buildStockForecast = async ({
+  historyDays = FORECAST_HISTORY_DAYS,
+  horizonDays = FORECAST_HORIZON_DAYS,
+} = {}) => {
+  const today = startOfUtcDay(new Date());
+  const horizonEnd = new Date(today.getTime() + horizonDays * DAY_MS);
+
+  const [{ start, series }, stock, camps] = await Promise.all([
+    dailyDemand(historyDays, today),
+    BloodInventory.aggregate([
+      {
+        $group: {
+          _id: "$bloodType",
+          unitsAvailable: { $sum: "$unitsAvailable" },
+          lowStockThreshold: { $sum: "$lowStockThreshold" },
+        },
+      },
+    ]),
+    DonationCamp.find({
+      status: { $in: ["planned", "announced"] },
+      startsAt: { $gte: today, $lt: horizonEnd },
+    }).select("name startsAt targetBloodGroups"),
+  ]);
+
+  const bloodTypes = BLOOD_TYPES.map((bloodType) => {
+    const { level, weekly, daily } = forecastDemand(
+      series[bloodType],
+      start,
+      horizonDays
+    );
+    const current = stock.find((row) => row._id === bloodType) || {
+      unitsAvailable: 0,
+      lowStockThreshold: 0,
+    };
+    const forecastTotal = daily.reduce((sum, demand) => sum + demand, 0);
+    const supply = daysOfSupply(current.unitsAvailable, daily);
+    // Enough stock for REORDER_COVER_DAYS of average demand
+    const recommendedThreshold = Math.max(
+      MIN_LOW_STOCK_THRESHOLD,
+      Math.ceil(level * REORDER_COVER_DAYS)
+    );
+
+    return {
+      bloodType,
+      unitsAvailable: current.unitsAvailable,
+      averageDailyDemand: round(level, 2),
+      forecastDemand: round(forecastTotal),
+      daysOfSupply: round(supply),
+      currentThreshold: current.lowStockThreshold,
+      recommendedThreshold,
+      weekdayPattern: weekly.map((factor) => round(factor, 2)),
+      daily: daily.map((units, day) => ({
+        date: new Date(today.getTime() + day * DAY_MS),
+        units: round(units),
+      })),
+      upcomingCamps: camps
+        .filter(
+          (camp) =>
+            camp.targetBloodGroups.length === 0 ||
+            camp.targetBloodGroups.includes(bloodType)
+        )
+        .map((camp) => ({
+          _id: camp._id,
+          name: camp.name,
+          startsAt: camp.startsAt,
+        })),
+      // Units to collect to cover the forecast and still end at the threshold
+      shortfall: Math.max(
+        0,
+        Math.ceil(forecastTotal + recommendedThreshold - current.unitsAvailable)
+      ),
+    };
+  });
+
+  const driveRecommendations = bloodTypes
+    .filter(
+      (item) =>
+        (item.daysOfSupply !== null && item.daysOfSupply < DRIVE_ALERT_DAYS) ||
+        item.unitsAvailable < item.recommendedThreshold
+    )
+    .sort(
+      (a, b) =>
+        (a.daysOfSupply ?? Infinity) - (b.daysOfSupply ?? Infinity) ||
+        b.shortfall - a.shortfall
+    )
+    .map((item) => ({
+      bloodType: item.bloodType,
+      daysOfSupply: item.daysOfSupply,
+      shortfall: item.shortfall,
+      reason:
+        item.daysOfSupply !== null && item.daysOfSupply < DRIVE_ALERT_DAYS
+          ? `Stock runs out in about ${item.daysOfSupply} day(s)`
+          : `${item.unitsAvailable} unit(s) is below the suggested ${item.recommendedThreshold}`,
+      upcomingCamps: item.upcomingCamps.length,
+    }));
+
+  return {
+    generatedAt: new Date(),
+    historyDays,
+    horizonDays,
+    bloodTypes,
+    driveRecommendations,
+  };
+};
+
+// Daily digest for staff: the forecast and where drives are needed
+const sendStockDigest = async () => {
+  const forecast = await buildStockForecast();
+  const groups = forecast.driveRecommendations.map((item) => item.bloodType);
+
+  await createNotification(
+    "stock_digest",
+    "Daily Stock Digest",
+    groups.length
+      ? `Donation drives recommended for ${groups.join(", ")}`
+      : "Stock covers the forecast demand for every blood group",
+    null,
+    { forecast }
+  );
+  return { driveRecommendations: groups };
+};
+
+// Scheduled Jobs
+// Jobs run in-process on cron schedules. Each job has a record in MongoDB
+// holding its next run time and a lock, so when several instances run only
+// the one that claims the lock runs the job.
+
+// Cron fields: "minute hour day-of-month month day-of-week", in UTC
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }, // 0 and 7 are Sunday
+];
+
+// The values each field allows. Fields take *, numbers, ranges (1-5), lists
+// (1,15) and steps (*/15, 0-30/10). Throws on a malformed expression.
+const parseCron = (expression) => {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Schedule "${expression}" must have 5 fields`);
+  }
+
+  return parts.map((part, index) => {
+    const { name, min, max } = CRON_FIELDS[index];
+    const values = new Set();
+    for (const item of part.split(",")) {
+      const match = item.match(/^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      const start = match && match[1] !== undefined ? Number(match[1]) : min;
+      const end =
+        match && match[2] !== undefined
+          ? Number(match[2])
+          : match && match[1] !== undefined && !match[3]
+            ? start
+            : max;
+      const step = match && match[3] ? Number(match[3]) : 1;
+      if (!match || start < min || end > max || start > end || step < 1) {
+        throw new Error(`Invalid ${name} "${item}" in "${expression}"`);
+      }
+      for (let value = start; value <= end; value += step) {
+        values.add(index === 4 ? value % 7 : value);
+      }
+    }
+    // As in cron, a day is due when either day field matches, unless one of
+    // them is unrestricted
+    return { values, restricted: !part.startsWith("*") };
+  });
+};
+
+// First minute after `after` that matches the schedule, or null if none does
+// within five years (e.g. "0 0 31 2 *")
+const nextCronTime = (expression, after = new Date()) => {
+  const [minutes, hours, days, months, weekdays] = parseCron(expression);
+  const dayMatches = (date) => {
+    const dayOfMonth = days.values.has(date.getUTCDate());
+    const dayOfWeek = weekdays.values.has(date.getUTCDay());
+    if (days.restricted && weekdays.restricted) return dayOfMonth || dayOfWeek;
+    return dayOfMonth && dayOfWeek;
+  };
+
+  const time = new Date(after);
+  time.setUTCSeconds(0, 0);
+  time.setUTCMinutes(time.getUTCMinutes() + 1);
+  const limit = after.getTime() + 5 * 366 * DAY_MS;
+
+  while (time.getTime() <= limit) {
+    if (!months.values.has(time.getUTCMonth() + 1)) {
+      time.setUTCMonth(time.getUTCMonth() + 1, 1);
+      time.setUTCHours(0, 0);
+    } else if (!dayMatches(time)) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0);
+    } else if (!hours.values.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0);
+    } else if (!minutes.values.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+  return null;
+};
+
+// Schedule for "every n minutes", for settings kept from before jobs had
+// cron schedules. A cron step restarts every hour (or day), so only intervals
+// that divide an hour, or whole hours that divide a day, come out even
+const everyMinutes = (minutes, setting) => {
+  if (minutes < 60 && 60 % minutes === 0) return `*/${minutes} * * * *`;
+  if (minutes % 60 === 0 && 24 % (minutes / 60) === 0) {
+    return `0 */${minutes / 60} * * *`;
+  }
+  throw new Error(
+    `${setting} must divide 60 minutes, or be whole hours that divide 24 hours; got ${minutes}`
+  );
+};
+
+// Email and text donors whose waiting period ended in the last
+// ELIGIBILITY_REMINDER_WINDOW_DAYS days; each donor is reminded once per
+// eligibility date
+const sendEligibilityReminders = async () => {
+  const now = new Date();
+  const donors = await Donor.find({
+    isAvailable: true,
+    isPermanentlyDeferred: { $ne: true },
+    nextEligibleDate: {
+      $lte: now,
+      $gte: new Date(now.getTime() - ELIGIBILITY_REMINDER_WINDOW_DAYS * DAY_MS),
+    },
+    $expr: { $ne: ["$eligibilityReminderFor", "$nextEligibleDate"] },
+  }).select("name bloodGroup contactInfo nextEligibleDate");
+
+  for (const donor of donors) {
+    const { email, phone } = parseContactInfo(donor.contactInfo);
+    await queueDelivery("email", email, "eligibility_reminder", { donor });
+    await queueDelivery("sms", phone, "eligibility_reminder", { donor });
+    // updateOne so the eligibility fields are not recalculated
+    await Donor.updateOne(
+      { _id: donor._id },
+      { eligibilityReminderFor: donor.nextEligibleDate }
+    );
+  }
+
+  return { remindedDonors: donors.length };
+};
+
+// Alert staff once about each request still pending after
+// STALE_REQUEST_HOURS (STALE_EMERGENCY_REQUEST_HOURS for emergencies)
+const escalateStaleRequests = async () => {
+  const now = Date.now();
+  const requests = await BloodRequest.find({
+    status: "pending",
+    escalatedAt: null,
+    $or: [
+      {
+        isEmergency: true,
+        requestedAt: {
+          $lte: new Date(now - STALE_EMERGENCY_REQUEST_HOURS * 60 * 60 * 1000),
+        },
+      },
+      {
+        requestedAt: {
+          $lte: new Date(now - STALE_REQUEST_HOURS * 60 * 60 * 1000),
+        },
+      },
+    ],
+  });
+
+  let escalatedRequests = 0;
+  for (const request of requests) {
+    // Claimed first so two runs cannot both alert
+    const claimed = await BloodRequest.updateOne(
+      { _id: request._id, escalatedAt: null },
+      { escalatedAt: new Date() }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    const hours = Math.floor((now - request.requestedAt) / (60 * 60 * 1000));
+    await createNotification(
+      "stale_request",
+      `${request.isEmergency ? "Emergency request" : "Request"} waiting ${hours} hours`,
+      `The request for ${request.unitsRequired} unit(s) of ${request.bloodTypeNeeded} for ${request.patientName} at ${request.hospitalName} has been pending for ${hours} hours.`,
+      request._id,
+      { request, hours }
+    );
+    escalatedRequests++;
+  }
+
+  return { escalatedRequests };
+};
+
+// Every job: its default schedule (overridden by JOB_SCHEDULE_<NAME>, e.g.
+// JOB_SCHEDULE_EXPIRY_SWEEP), what it does, and whether it also runs when
+// the server starts. run() returns a summary kept with the run; a job that
+// throws is recorded as failed. A schedule built from an older setting is a
+// function, so a bad setting only stops that job from being scheduled.
+const JOB_DEFINITIONS = {
+  expiry_sweep: {
+    schedule: () =>
+      everyMinutes(
+        EXPIRY_SWEEP_INTERVAL_MINUTES,
+        "EXPIRY_SWEEP_INTERVAL_MINUTES"
+      ),
+    description: "Expire bags past their expiry date and release reservations",
+    runOnStart: true,
+    run: async () => ({
+      ...(await expireBloodBags()),
+      ...(await releaseExpiredReservations()),
+    }),
+  },
+  low_stock_check: {
+    schedule: "*/30 * * * *",
+    description: "Alert staff about stock below its threshold",
+    run: raiseLowStockAlerts,
+  },
+  delivery_retry: {
+    schedule: () =>
+      everyMinutes(
+        DELIVERY_RETRY_INTERVAL_MINUTES,
+        "DELIVERY_RETRY_INTERVAL_MINUTES"
+      ),
+    description: "Retry failed email and SMS deliveries",
+    run: retryDeliveries,
+  },
+  callout_waves: {
+    schedule: "* * * * *",
+    description: "Send the next wave of emergency call-outs",
+    run: advanceCalloutCampaigns,
+  },
+  stock_digest: {
+    schedule: `0 ${DIGEST_HOUR_UTC} * * *`,
+    description: "Send staff the daily stock forecast",
+    run: sendStockDigest,
+  },
+  eligibility_reminders: {
+    schedule: "0 9 * * *",
+    description: "Remind donors who can donate again",
+    run: sendEligibilityReminders,
+  },
+  stale_request_escalation: {
+    schedule: "0 * * * *",
+    description: "Alert staff about requests left pending too long",
+    run: escalateStaleRequests,
+  },
+};
+
+// Throws if the schedule comes from a setting that is not valid
+const jobSchedule = (name) => {
+  const { schedule } = JOB_DEFINITIONS[name];
+  return (
+    process.env[`JOB_SCHEDULE_${name.toUpperCase()}`] ||
+    (typeof schedule === "function" ? schedule() : schedule)
+  );
+};
+
+// Identifies this process in job locks
+const JOB_INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Create a job record if it is missing. Two instances starting together can
+// both try to insert it; the one that loses finds the winner's record
+const upsertJob = async (name, nextRunAt) => {
+  const upsert = () =>
+    ScheduledJob.findOneAndUpdate(
+      { name },
+      { $setOnInsert: { name, nextRunAt } },
+      { upsert: true, new: true }
+    );
+  try {
+    return await upsert();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return upsert();
+  }
+};
+
+// Bring the stored job records in line with the definitions; a changed
+// schedule takes effect from now
+const registerJobs = async () => {
+  const now = new Date();
+  for (const name of Object.keys(JOB_DEFINITIONS)) {
+    let schedule;
+    let nextRunAt;
+    try {
+      schedule = jobSchedule(name);
+      nextRunAt = nextCronTime(schedule, now);
+    } catch (error) {
+      console.error(`Job ${name} not scheduled:`, error.message);
+      continue;
+    }
+
+    try {
+      const job = await upsertJob(name, nextRunAt);
+      if (job.schedule !== schedule) {
+        job.schedule = schedule;
+        job.nextRunAt = nextRunAt;
+      }
+      if (JOB_DEFINITIONS[name].runOnStart) job.nextRunAt = now;
+      await job.save();
+    } catch (error) {
+      console.error(`Job ${name} not registered:`, error);
+    }
+  }
+};
+
+// Take the lock on a job matching filter; null if another run holds it
+const claimJob = (filter) => {
+  const now = new Date();
+  return ScheduledJob.findOneAndUpdate(
+    {
+      ...filter,
+      name: { $in: Object.keys(JOB_DEFINITIONS) },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      lockedBy: JOB_INSTANCE_ID,
+      lockedUntil: new Date(now.getTime() + JOB_LOCK_MINUTES * 60 * 1000),
+    },
+    { new: true, sort: { nextRunAt: 1 } }
+  );
+};
+
+// Run a claimed job, record the outcome and release the lock
+// trigger is "schedule" or "manual"; triggeredBy is the admin for manual runs
+const runJob = async (job, trigger, triggeredBy = null) => {
+  const startedAt = new Date();
+  const run = { trigger, triggeredBy, startedAt, status: "succeeded" };
+
+  // Keep the lock while the run lasts, however long that is
+  const lockMs = JOB_LOCK_MINUTES * 60 * 1000;
+  const renewLock = setInterval(() => {
+    ScheduledJob.updateOne(
+      { _id: job._id, lockedBy: JOB_INSTANCE_ID },
+      { lockedUntil: new Date(Date.now() + lockMs) }
+    ).catch((error) =>
+      console.error(`Error renewing lock on job ${job.name}:`, error)
+    );
+  }, lockMs / 3);
+
+  try {
+    run.result = (await JOB_DEFINITIONS[job.name].run()) || null;
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+    run.status = "failed";
+    run.error = error.message;
+  } finally {
+    clearInterval(renewLock);
+  }
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - startedAt;
+
+  await ScheduledJob.updateOne(
+    { _id: job._id, lockedBy: JOB_INSTANCE_ID },
+    {
+      $set: { lastRun: run, lockedBy: null, lockedUntil: null },
+      $inc: { runCount: 1, failureCount: run.status === "failed" ? 1 : 0 },
+      $push: {
+        recentRuns: { $each: [run], $position: 0, $slice: JOB_HISTORY_LENGTH },
+      },
+    }
+  );
+  return run;
+};
+
+// Run every enabled job that is due, one at a time; a poll that comes while
+// the last one is still running is skipped
+let runningDueJobs = false;
+const runDueJobs = async () => {
+  if (runningDueJobs) return;
+  runningDueJobs = true;
+  try {
+    let job;
+    while (
+      (job = await claimJob({ enabled: true, nextRunAt: { $lte: new Date() } }))
+    ) {
+      // Moved on before running, so a slow run is not started again
+      job.nextRunAt = nextCronTime(job.schedule, new Date());
+      await job.save();
+      await runJob(job, "schedule");
+    }
+  } catch (error) {
+    console.error("Error running scheduled jobs:", error);
+  } finally {
+    runningDueJobs = false;
+  }
+};
+
+const startJobScheduler = async () => {
+  try {
+    await registerJobs();
+  } catch (error) {
+    // Jobs registered on an earlier start still run from their stored record
+    console.error("Error registering scheduled jobs:", error);
+  }
+  runDueJobs();
+  setInterval(runDueJobs, JOB_POLL_INTERVAL_SECONDS * 1000);
+};
+
+// Import and Export
+
+// Donor spreadsheet columns. Headers are matched ignoring case, spaces and
+// punctuation, so "Roll Number" and "roll_number" both find rollNumber
+const DONOR_IMPORT_COLUMNS = [
+  "name",
+  "branch",
+  "rollNumber",
+  "bloodGroup",
+  "contactInfo",
+];
+
+const headerKey = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+// Split CSV text into rows of fields (RFC 4180: quoted fields may hold
+// commas, line breaks and quotes written twice). Returns null when a quoted
+// field never ends.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"' && field === "") quoted = true;
+    else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += char;
+  }
+
+  if (quoted) return null;
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Rows of cell text from an uploaded CSV file or the first sheet of an XLSX
+// workbook. Returns { rows }, or { rejection } in the form checkReportFiles
+// uses.
+const readSpreadsheet = async (file) => {
+  const reject = (status, code, message) => ({
+    rejection: { status, code, message, field: file.fieldname },
+  });
+
+  // XLSX workbooks are zip archives
+  if (file.buffer.subarray(0, 4).equals(Buffer.from("PK\x03\x04", "latin1"))) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch (error) {
+      return reject(
+        422,
+        "INVALID_SPREADSHEET",
+        `${file.originalname} could not be read as an Excel workbook`
+      );
+    }
+
+    const sheet = workbook.worksheets[0];
+    const rows = [];
+    sheet?.eachRow({ includeEmpty: true }, (row) => {
+      rows.push(
+        Array.from(
+          { length: sheet.columnCount },
+          (_, index) => row.getCell(index + 1).text
+        )
+      );
+    });
+    return { rows };
+  }
+
+  // Anything else has to be UTF-8 text
+  const text = file.buffer.toString("utf8");
+  if (text.includes("\0") || text.includes("\uFFFD")) {
+    return reject(
+      415,
+      "UNSUPPORTED_FILE_TYPE",
+      `${file.originalname} is not a CSV or Excel (.xlsx) file`
+    );
+  }
+
+  const rows = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!rows) {
+    return reject(
+      422,
+      "INVALID_SPREADSHEET",
+      `${file.originalname} has a quoted field that is never closed`
+    );
+  }
+  return { rows };
+};
+
+// Check every row of a donor spreadsheet against the registration rules and
+// the donors already on file. Row numbers count the header as row 1, as
+// spreadsheet programs show them. Returns { missingColumns } when the header
+// lacks a column, otherwise { totalRows, donors, errors } where errors are
+// { row, field, value, message }.
+const checkDonorImport = async (rows) => {
+  const [header = [], ...records] = rows;
+  const columns = {};
+  header.forEach((title, index) => {
+    const column = DONOR_IMPORT_COLUMNS.find(
+      (name) => headerKey(name) === headerKey(title)
+    );
+    if (column && columns[column] === undefined) columns[column] = index;
+  });
+
+  const missingColumns = DONOR_IMPORT_COLUMNS.filter(
+    (column) => columns[column] === undefined
+  );
+  if (missingColumns.length) return { missingColumns };
+
+  const candidates = [];
+  const errors = [];
+  let totalRows = 0;
+  const rowsByRollNumber = new Map();
+
+  records.forEach((record, index) => {
+    const row = index + 2;
+    const values = Object.fromEntries(
+      DONOR_IMPORT_COLUMNS.map((column) => [
+        column,
+        String(record[columns[column]] ?? "").trim(),
+      ])
+    );
+    // Blank lines are common at the end of exported sheets
+    if (Object.values(values).every((value) => value === "")) return;
+    totalRows++;
+
+    const problems = [];
+    for (const column of DONOR_IMPORT_COLUMNS) {
+      if (!values[column]) {
+        problems.push({ field: column, message: `${column} is required` });
+      } else if (values[column].length > MAX_STRING_LENGTH) {
+        problems.push({
+          field: column,
+          message: `${column} must be at most ${MAX_STRING_LENGTH} characters`,
+        });
+      }
+    }
+
+    // "a +" and "A+" are the same group
+    const bloodGroup = values.bloodGroup.toUpperCase().replace(/\s/g, "");
+    if (values.bloodGroup && !BLOOD_TYPES.includes(bloodGroup)) {
+      problems.push({
+        field: "bloodGroup",
+        message: `bloodGroup must be one of ${BLOOD_TYPES.join(", ")}`,
+      });
+    }
+
+    const firstRow = rowsByRollNumber.get(values.rollNumber);
+    if (values.rollNumber && firstRow) {
+      problems.push({
+        field: "rollNumber",
+        message: `Roll number is repeated from row ${firstRow}`,
+      });
+    } else if (values.rollNumber) {
+      rowsByRollNumber.set(values.rollNumber, row);
+    }
+
+    if (problems.length) {
+      errors.push(
+        ...problems.map((problem) => ({
+          row,
+          ...problem,
+          value: values[problem.field],
+        }))
+      );
+    } else {
+      candidates.push({ row, ...values, bloodGroup });
+    }
+  });
+
+  const existing = new Set(
+    (
+      await Donor.find({
+        rollNumber: { $in: candidates.map((donor) => donor.rollNumber) },
+      }).select("rollNumber")
+    ).map((donor) => donor.rollNumber)
+  );
+  const donors = candidates.filter((donor) => {
+    if (!existing.has(donor.rollNumber)) return true;
+    errors.push({
+      row: donor.row,
+      field: "rollNumber",
+      value: donor.rollNumber,
+      message: "Donor with this roll number already exists",
+    });
+    return false;
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+  return { totalRows, donors, errors };
+};
+
+// Create the donors checkDonorImport passed, one at a time so a roll number
+// registered in the meantime only fails its own row
+const importDonors = async (donors) => {
+  const imported = [];
+  const errors = [];
+
+  for (const { row, ...fields } of donors) {
+    try {
+      imported.push(await new Donor(fields).save());
+    } catch (error) {
+      errors.push({
+        row,
+        field: error.code === 11000 ? "rollNumber" : null,
+        value: error.code === 11000 ? fields.rollNumber : null,
+        message:
+          error.code === 11000
+            ? "Donor with this roll number already exists"
+            : error.message,
+      });
+    }
+  }
+
+  // Donors belong to the main bank, as with single registrations
+  const facility = await getDefaultFacility();
+  for (const bloodType of BLOOD_TYPES) {
+    const count = imported.filter((d) => d.bloodGroup === bloodType).length;
+    if (!count) continue;
+    await BloodInventory.findOneAndUpdate(
+      { facility: facility._id, bloodType },
+      { $inc: { donorCount: count } },
+      { upsert: true }
+    );
+  }
+
+  return { imported, errors };
+};
+
+// Export columns: { header, key } in the order they are written
+const DONOR_EXPORT_COLUMNS = [
+  { header: "Name", key: "name" },
+  { header: "Branch", key: "branch" },
+  { header: "Roll Number", key: "rollNumber" },
+  { header: "Blood Group", key: "bloodGroup" },
+  { header: "Contact Info", key: "contactInfo" },
+  { header: "Available", key: "isAvailable" },
+  { header: "Eligible", key: "eligible" },
+  { header: "Next Eligible Date", key: "nextEligibleDate" },
+  { header: "Last Donation Date", key: "lastDonationDate" },
+  { header: "Donations", key: "donations" },
+  { header: "Registered At", key: "registeredAt" },
+];
+const REQUEST_EXPORT_COLUMNS = [
+  { header: "Request ID", key: "id" },
+  { header: "Requested At", key: "requestedAt" },
+  { header: "Status", key: "status" },
+  { header: "Flag", key: "flag" },
+  { header: "Emergency", key: "isEmergency" },
+  { header: "Patient Name", key: "patientName" },
+  { header: "Patient Age", key: "patientAge" },
+  { header: "Gender", key: "gender" },
+  { header: "Blood Type Needed", key: "bloodTypeNeeded" },
+  { header: "Component", key: "componentNeeded" },
+  { header: "Units Required", key: "unitsRequired" },
+  { header: "Hospital", key: "hospitalName" },
+  { header: "Medical Reason", key: "medicalReason" },
+  { header: "Roll Number", key: "collegeRollNumber" },
+  { header: "Email", key: "collegeEmail" },
+  { header: "Contact Number", key: "contactNumber" },
+  { header: "Reports", key: "reports" },
+  { header: "Updated At", key: "updatedAt" },
+  { header: "Admin Notes", key: "adminNotes" },
+];
+const INVENTORY_EXPORT_COLUMNS = [
+  { header: "Facility", key: "facility" },
+  { header: "Facility Code", key: "facilityCode" },
+  { header: "Blood Type", key: "bloodType" },
+  { header: "Units Available", key: "unitsAvailable" },
+  ...COMPONENT_TYPES.map((componentType) => ({
+    header: `Units (${componentType})`,
+    key: componentType,
+  })),
+  { header: "Next Expiry", key: "nextExpiry" },
+  { header: "Low Stock Threshold", key: "lowStockThreshold" },
+  { header: "Low Stock", key: "lowStock" },
+  { header: "Donor Count", key: "donorCount" },
+];
+
+// Quote a CSV cell when needed, and stop text that starts like a formula
+// from being run when the file is opened in a spreadsheet (numbers such as
+// "+91 98765 43210" are left alone)
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().-]+$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves when the response can take more data or the client has gone
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+// Start a CSV or XLSX download. Rows are written to the response as they are
+// produced, so an export never has to fit in memory. columns are
+// [{ header, key }]; returns { write(row), end() }.
+const startTableExport = async (res, format, name, columns) => {
+  const filename = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  if (format === "xlsx") {
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useSharedStrings: false,
+    });
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns.map(({ header, key }) => ({
+      header,
+      key,
+      width: Math.max(12, header.length + 2),
+    }));
+    return {
+      write: async (row) => sheet.addRow(row).commit(),
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  const writeLine = async (cells) => {
+    if (!res.write(cells.map(csvCell).join(",") + "\r\n")) {
+      await waitForDrain(res);
+    }
+  };
+  // The byte order mark makes Excel read the file as UTF-8
+  res.write("\uFEFF");
+  await writeLine(columns.map((column) => column.header));
+  return {
+    write: (row) => writeLine(columns.map((column) => row[column.key])),
+    end: async () => res.end(),
+  };
+};
+
+// Write every document from a query cursor as one row, stopping early if the
+// client disconnects
+const exportRows = async (res, table, cursor, toRow) => {
+  for await (const doc of cursor) {
+    if (res.destroyed) break;
+    await table.write(toRow(doc));
+  }
+  if (!res.destroyed) await table.end();
+};
+
+// An export that fails after the download has started can only be cut off
+const sendExportError = (res, message, error) => {
+  if (res.headersSent) return res.destroy(error);
+  res.status(500).json({ message, error: error.message });
+};
+
+// Donor Search
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Filters of a donor search, kept apart so each facet can be counted without
+// its own filter: { base, bloodGroup, branch }. Dates are converted here
+// because the facet counts run as an aggregation, which does not cast values.
+const donorSearchFilters = (query, now) => {
+  const base = {};
+  const conditions = [];
+
+  if (query.q) {
+    const pattern = new RegExp(escapeRegExp(query.q), "i");
+    conditions.push({ $or: [{ name: pattern }, { rollNumber: pattern }] });
+  }
+  if (query.isAvailable !== undefined) base.isAvailable = query.isAvailable;
+  if (query.eligible === true) conditions.push(eligibleDonorQuery(now));
+  if (query.eligible === false) {
+    conditions.push({
+      $or: [
+        { isPermanentlyDeferred: true },
+        { nextEligibleDate: { $gt: now } },
+      ],
+    });
+  }
+  if (query.lastDonationFrom || query.lastDonationTo) {
+    base.lastDonationDate = {
+      ...(query.lastDonationFrom && {
+        $gte: new Date(query.lastDonationFrom),
+      }),
+      ...(query.lastDonationTo && { $lte: new Date(query.lastDonationTo) }),
+    };
+  }
+  if (conditions.length) base.$and = conditions;
+
+  // compatibleWith narrows the listed groups, or stands in for them
+  let bloodGroups = query.bloodGroup;
+  if (query.compatibleWith) {
+    const compatible = getCompatibleBloodTypes(
+      query.compatibleWith,
+      query.component
+    );
+    bloodGroups = bloodGroups
+      ? bloodGroups.filter((group) => compatible.includes(group))
+      : compatible;
+  }
+
+  return {
+    base,
+    bloodGroup: bloodGroups ? { bloodGroup: { $in: bloodGroups } } : {},
+    branch: query.branch ? { branch: { $in: query.branch } } : {},
+  };
+};
+
+// Search results are paged with a cursor holding the sort and the last
+// donor's sort value and _id, so pages do not shift as donors are added
+const encodeSearchCursor = (sort, donor) => {
+  const field = sort.replace(/^-/, "");
+  return Buffer.from(
+    JSON.stringify({ sort, value: donor[field] ?? null, id: donor._id })
+  ).toString("base64url");
+};
+
+// The { value, id } position in a cursor, or null if it is malformed or was
+// made for a different sort
+const decodeSearchCursor = (cursor, sort) => {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    return null;
+  }
+  if (
+    !data ||
+    data.sort !== sort ||
+    !/^[a-f\d]{24}$/i.test(data.id) ||
+    !(data.value === null || typeof data.value === "string")
+  ) {
+    return null;
+  }
+
+  const field = sort.replace(/^-/, "");
+  let value = data.value;
+  if (value !== null && DONOR_SEARCH_SORT_FIELDS[field] === "date") {
+    value = new Date(value);
+    if (isNaN(value)) return null;
+  }
+  return { value, id: new mongoose.Types.ObjectId(data.id) };
+};
+
+// Donors after a cursor position, ordered by field then _id. Missing values
+// come first in ascending order and last in descending order, as MongoDB
+// sorts them.
+const afterSearchCursor = (field, direction, { value, id }) => {
+  const beyond = direction === 1 ? "$gt" : "$lt";
+  const tieBreak = { _id: { [beyond]: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, ...tieBreak }] }
+      : { [field]: null, ...tieBreak };
+  }
+  return {
+    $or: [
+      { [field]: { [beyond]: value } },
+      { [field]: value, ...tieBreak },
+      ...(direction === -1 ? [{ [field]: null }] : []),
+    ],
+  };
+};
+
+// Printable Documents
+// Issue slips, donation certificates and monthly reports are drawn with
+// PDFKit. Each PDF is stored in GridFS the first time it is asked for, and
+// later downloads reissue that copy.
+
+const DOCUMENT_NUMBER_PREFIXES = {
+  issue_slip: "SLIP",
+  donation_certificate: "CERT",
+  monthly_report: "RPT",
+};
+
+const generateDocumentNumber = (kind) =>
+  `${DOCUMENT_NUMBER_PREFIXES[kind]}-${new Date()
+    .toISOString()
+    .slice(0, 10)
+    .replace(/-/g, "")}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+
+// e.g. "2025-08-09 14:05 UTC"
+const pdfDateTime = (date) =>
+  date
+    ? `${new Date(date).toISOString().slice(0, 16).replace("T", " ")} UTC`
+    : "-";
+const pdfDate = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : "-";
+
+// Render a PDF in memory; draw(doc) lays out the pages
+const renderPdf = (title, draw) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: { Title: title, Author: BLOOD_BANK_NAME },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+const pdfHeading = (doc, title, documentNumber) => {
+  doc.font("Helvetica-Bold").fontSize(16).text(BLOOD_BANK_NAME);
+  doc.fontSize(13).text(title);
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .fillColor("#555555")
+    .text(`Document ${documentNumber}  |  Generated ${pdfDateTime(new Date())}`)
+    .fillColor("black")
+    .moveDown();
+};
+
+const pdfSection = (doc, title) =>
+  doc
+    .moveDown(0.5)
+    .font("Helvetica-Bold")
+    .fontSize(11)
+    .text(title)
+    .moveDown(0.3);
+
+// Label and value pairs, one per line
+const pdfFields = (doc, fields) => {
+  for (const [label, value] of fields) {
+    const y = doc.y;
+    doc.font("Helvetica-Bold").fontSize(10).text(label, 50, y, { width: 150 });
+    doc
+      .font("Helvetica")
+      .text(
+        value === undefined || value === null ? "-" : String(value),
+        200,
+        y,
+        {
+          width: 345,
+        }
+      );
+    doc.x = 50;
+  }
+};
+
+// A simple grid; columns are [{ header, width }] and rows arrays of cells.
+// Starts a new page (repeating the header) when the page is full.
+const pdfTable = (doc, columns, rows) => {
+  const rowHeight = 18;
+  const drawRow = (cells, bold) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      // Repeat the header row at the top of each new page
+      if (!bold) {
+        drawRow(
+          columns.map((column) => column.header),
+          true
+        );
+      }
+    }
+    const y = doc.y;
+    let x = 50;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    cells.forEach((cell, index) => {
+      doc.text(
+        cell === undefined || cell === null ? "-" : String(cell),
+        x + 3,
+        y + 4,
+        {
+          width: columns[index].width - 6,
+          height: rowHeight - 4,
+          ellipsis: true,
+          lineBreak: false,
+        }
+      );
+      doc.rect(x, y, columns[index].width, rowHeight).stroke("#999999");
+      x += columns[index].width;
+    });
+    doc.x = 50;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(
+    columns.map((column) => column.header),
+    true
+  );
+  if (!rows.length) drawRow(columns.map((_, index) => (index ? "" : "None")));
+  for (const row of rows) drawRow(row);
+  doc.moveDown();
+};
+
+const pdfSignatures = (doc, labels) => {
+  doc.moveDown(2);
+  const y = doc.y;
+  const width = 495 / labels.length;
+  labels.forEach((label, index) => {
+    const x = 50 + index * width;
+    doc
+      .moveTo(x, y + 25)
+      .lineTo(x + width - 20, y + 25)
+      .stroke("#000000");
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(label, x, y + 30, { width: width - 20 });
+  });
+  doc.x = 50;
+};
+
+// Reissue the stored copy of a document, or generate and store a new one.
+// lookup names the document ({ kind, request }, { kind, donor, donation } or
+// { kind, period }); draw(doc, documentNumber, data) lays it out, with data
+// from load() if given, which only runs when a new copy is needed. A document
+// that is not stored (store: false) is generated on every call.
+const issueDocument = async (
+  { lookup, title, filename, user, regenerate = false, store = true, load },
+  draw
+) => {
+  if (store && !regenerate) {
+    const existing = await GeneratedDocument.findOne(lookup).sort({
+      generatedAt: -1,
+    });
+    const [file] = existing
+      ? await gfsBucket.find({ _id: existing.fileId }).toArray()
+      : [];
+    if (file) {
+      existing.issueCount += 1;
+      existing.lastIssuedAt = new Date();
+      await existing.save();
+      return {
+        documentNumber: existing.documentNumber,
+        filename,
+        fileId: file._id,
+      };
+    }
+  }
+
+  const documentNumber = generateDocumentNumber(lookup.kind);
+  const data = load ? await load() : null;
+  const buffer = await renderPdf(title, (doc) =>
+    draw(doc, documentNumber, data)
+  );
+  if (store) {
+    const fileId = await saveUpload({
+      originalname: filename,
+      detectedType: "application/pdf",
+      buffer,
+    });
+    await GeneratedDocument.create({
+      ...lookup,
+      documentNumber,
+      fileId,
+      filename,
+      size: buffer.length,
+      generatedBy: user.userId,
+    });
+  }
+  return { documentNumber, filename, buffer };
+};
+
+// Send a document from issueDocument, from memory or from GridFS
+const sendDocument = (res, { documentNumber, filename, buffer, fileId }) => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="${filename}"`,
+    "X-Document-Number": documentNumber,
+  });
+  if (buffer) return res.send(buffer);
+  gfsBucket
+    .openDownloadStream(fileId)
+    .on("error", () => res.end())
+    .pipe(res);
+};
+
+// Issue and crossmatch slip for a fulfilled request: what was issued, who
+// issued it, and space for the crossmatch result of each unit
+const drawIssueSlip = (doc, documentNumber, { request, bags, fulfilment }) => {
+  pdfHeading(doc, "Blood Issue and Crossmatch Slip", documentNumber);
+
+  pdfSection(doc, "Request");
+  pdfFields(doc, [
+    ["Request ID", request._id],
+    ["Requested at", pdfDateTime(request.requestedAt)],
+    ["Hospital", request.hospitalName],
+    ["Emergency", request.isEmergency ? "Yes" : "No"],
+  ]);
+
+  pdfSection(doc, "Patient");
+  pdfFields(doc, [
+    ["Name", request.patientName],
+    ["Age", request.patientAge],
+    ["Gender", request.gender],
+    ["Blood type", request.bloodTypeNeeded],
+    ["Component", request.componentNeeded],
+    ["Units required", request.unitsRequired],
+  ]);
+
+  pdfSection(doc, `Units issued (${bags.length})`);
+  pdfTable(
+    doc,
+    [
+      { header: "Bag", width: 125 },
+      { header: "Blood type", width: 60 },
+      { header: "Component", width: 75 },
+      { header: "Expires", width: 70 },
+      { header: "Crossmatch", width: 80 },
+      { header: "Tested by", width: 85 },
+    ],
+    bags.map((bag) => [
+      bag.bagId,
+      bag.bloodType,
+      bag.componentType,
+      pdfDate(bag.expiryDate),
+      "",
+      "",
+    ])
+  );
+
+  pdfSection(doc, "Issue");
+  pdfFields(doc, [
+    ["Fulfilled at", pdfDateTime(fulfilment && fulfilment.changedAt)],
+    ["Issued by", fulfilment && fulfilment.changedByEmail],
+    ["Notes", fulfilment && fulfilment.notes],
+  ]);
+
+  pdfSignatures(doc, ["Issued by", "Crossmatch checked by", "Received by"]);
+};
+
+const drawDonationCertificate = (doc, documentNumber, { donor, donation }) => {
+  pdfHeading(doc, "Certificate of Blood Donation", documentNumber);
+
+  const amount = donation.volumeMl
+    ? `${donation.volumeMl} ml`
+    : `${donation.units || 1} unit(s)`;
+  const place = donation.camp
+    ? `at ${donation.camp.name}`
+    : donation.location
+      ? `at ${donation.location}`
+      : "";
+
+  doc
+    .moveDown(2)
+    .font("Helvetica")
+    .fontSize(12)
+    .text("This is to certify that", { align: "center" })
+    .moveDown(0.5)
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .text(donor.name, { align: "center" })
+    .font("Helvetica")
+    .fontSize(11)
+    .text(`${donor.branch}, roll number ${donor.rollNumber}`, {
+      align: "center",
+    })
+    .moveDown(0.5)
+    .fontSize(12)
+    .text(
+      `donated ${amount} of ${donation.donationType.replace(/_/g, " ")} (blood group ${donor.bloodGroup}) on ${pdfDate(donation.date)} ${place}.`.trim(),
+      { align: "center" }
+    )
+    .moveDown()
+    .text("Thank you for helping to save lives.", { align: "center" });
+
+  pdfSignatures(doc, ["Blood bank officer"]);
+};
+
+// Monthly summary of requests, stock, donations and wastage, built from the
+// analytics reports
+const buildMonthlyReport = async (from, to) => {
+  const options = { from, to, groupBy: "month" };
+  const [[demand], [turnaround], stock, [donations], [wastage]] =
+    await Promise.all([
+      requestDemandReport(options),
+      turnaroundReport(options),
+      stockLevelReport(options),
+      donationReport({ ...options, by: "bloodGroup" }),
+      wastageReport(options),
+    ]);
+
+  const closing = stock.series.length
+    ? stock.series[stock.series.length - 1].levels
+    : stock.opening;
+  const totals = demand.series[0] || {};
+
+  return {
+    requests: {
+      total: totals.requests || 0,
+      unitsRequired: totals.unitsRequired || 0,
+      emergency: totals.emergency || 0,
+      fulfilled: totals.fulfilled || 0,
+      rejected: totals.rejected || 0,
+      cancelled: totals.cancelled || 0,
+      fulfilmentRate: totals.fulfilmentRate ?? null,
+    },
+    turnaround: turnaround.overall[0] || null,
+    wastage: wastage.series[0] || null,
+    bloodTypes: BLOOD_TYPES.map((bloodType) => {
+      const requested = demand.byBloodType.find(
+        (r) => r.bloodType === bloodType
+      );
+      const donated = donations.breakdown.find((d) => d.key === bloodType);
+      return {
+        bloodType,
+        openingUnits: stock.opening[bloodType],
+        closingUnits: closing[bloodType],
+        requests: requested ? requested.requests : 0,
+        unitsRequired: requested ? requested.unitsRequired : 0,
+        fulfilled: requested ? requested.fulfilled : 0,
+        donations: donated ? donated.donations : 0,
+      };
+    }),
+  };
+};
+
+const drawMonthlyReport = (
+  doc,
+  documentNumber,
+  { month, report, complete }
+) => {
+  pdfHeading(doc, `Monthly Report: ${month}`, documentNumber);
+  if (!complete) {
+    doc
+      .font("Helvetica-Oblique")
+      .fontSize(10)
+      .text("Provisional: the month is not over, so these figures will change.")
+      .moveDown();
+  }
+
+  const percent = (rate) =>
+    rate === null || rate === undefined ? "-" : `${Math.round(rate * 100)}%`;
+
+  pdfSection(doc, "Requests");
+  pdfFields(doc, [
+    ["Requests", report.requests.total],
+    ["Units requested", report.requests.unitsRequired],
+    ["Emergency", report.requests.emergency],
+    ["Fulfilled", report.requests.fulfilled],
+    ["Rejected", report.requests.rejected],
+    ["Cancelled", report.requests.cancelled],
+    ["Fulfilment rate", percent(report.requests.fulfilmentRate)],
+    [
+      "Median turnaround",
+      report.turnaround ? `${report.turnaround.medianHours} hours` : "-",
+    ],
+  ]);
+
+  pdfSection(doc, "Wastage");
+  pdfFields(doc, [
+    ["Expired", report.wastage ? report.wastage.expired : 0],
+    ["Discarded", report.wastage ? report.wastage.discarded : 0],
+    ["Wastage rate", percent(report.wastage && report.wastage.wastageRate)],
+  ]);
+
+  pdfSection(doc, "By blood type");
+  pdfTable(
+    doc,
+    [
+      { header: "Blood type", width: 65 },
+      { header: "Opening stock", width: 75 },
+      { header: "Closing stock", width: 75 },
+      { header: "Requests", width: 65 },
+      { header: "Units requested", width: 80 },
+      { header: "Fulfilled", width: 60 },
+      { header: "Donations", width: 75 },
+    ],
+    report.bloodTypes.map((row) => [
+      row.bloodType,
+      row.openingUnits,
+      row.closingUnits,
+      row.requests,
+      row.unitsRequired,
+      row.fulfilled,
+      row.donations,
+    ])
+  );
+};
+
+// Certificate for one donation, from the stored copy unless regenerate is set
+const sendDonationCertificate = async (req, res, donor) => {
+  const donation = donor.donationHistory.id(req.params.donationId);
+
+  if (!donation || donation.reversedAt) {
+    return sendError(res, 404, "NOT_FOUND", "Donation not found");
+  }
+  await donor.populate("donationHistory.camp", "name");
+
+  const document = await issueDocument(
+    {
+      lookup: {
+        kind: "donation_certificate",
+        donor: donor._id,
+        donation: donation._id,
+      },
+      title: "Certificate of Blood Donation",
+      filename: `donation-certificate-${pdfDate(donation.date)}.pdf`,
+      user: req.user,
+      regenerate: req.query.regenerate,
+    },
+    (doc, documentNumber) =>
+      drawDonationCertificate(doc, documentNumber, { donor, donation })
+  );
+  sendDocument(res, document);
+};
+
+// ROUTES
+
+// 1. AUTHENTICATION ROUTES
+
+// Register
+app.post(
+  "/api/auth/register",
+  validate({
+    body: {
+      email: rules.email(required),
+      password: rules.string(required),
+      role: rules.oneOf(USER_ROLES),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { email, password, role } = req.body;
+
+      // Donor accounts need a donor profile, see /api/auth/register-donor
+      if (role === "donor") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          "Use /api/auth/register-donor to create a donor account"
+        );
+      }
+
+      // Staff accounts are created by invitation; only the very first
+      // super-admin, who sends those invitations, can register directly
+      if (role && role !== "user") {
+        if (
+          role !== "super_admin" ||
+          (await User.exists({ role: { $in: ["super_admin", "admin"] } }))
+        ) {
+          return sendError(
+            res,
+            403,
+            "FORBIDDEN",
+            "Staff accounts are created by invitation from a super-admin"
+          );
+        }
+      }
+
+      // Check if user already exists
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return sendError(res, 400, "ALREADY_EXISTS", "User already exists");
+      }
+
+      const problem = passwordProblem(password);
+      if (problem) {
+        return sendError(res, 400, "VALIDATION_ERROR", problem, [
+          { location: "body", field: "password" },
+        ]);
+      }
+
+      // Hash password
+      const hashedPassword = await bcrypt.hash(password, 12);
+
+      // Create user
+      const user = new User({
+        email,
+        password: hashedPassword,
+        role: role || "user",
+      });
+
+      await user.save();
+      await sendVerificationEmail(user);
+
+      res.status(201).json({
+        message: "User registered successfully; check your email to verify it",
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error registering user", error: error.message });
+    }
+  }
+);
+
+// Register a donor account
+// Links the donor profile with this roll number, or creates one when the
+// donor is new. An existing profile is only linked when its contact info
+// holds the account's email address.
+app.post(
+  "/api/auth/register-donor",
+  validate({
+    body: {
+      email: rules.email(required),
+      password: rules.string(required),
+      rollNumber: rules.string(required),
+      name: rules.string(),
+      branch: rules.string(),
+      bloodGroup: rules.oneOf(BLOOD_TYPES),
+      contactInfo: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const {
+        email,
+        password,
+        rollNumber,
+        name,
+        branch,
+        bloodGroup,
+        contactInfo,
+      } = req.body;
+
+      if (await User.findOne({ email })) {
+        return sendError(res, 400, "ALREADY_EXISTS", "User already exists");
+      }
+
+      const problem = passwordProblem(password);
+      if (problem) {
+        return sendError(res, 400, "VALIDATION_ERROR", problem, [
+          { location: "body", field: "password" },
+        ]);
+      }
+
+      let donor = await Donor.findOne({ rollNumber });
+      let createdDonor = false;
+
+      if (donor) {
+        if (await User.exists({ donor: donor._id })) {
+          return sendError(
+            res,
+            400,
+            "ALREADY_EXISTS",
+            "This donor profile already has an account"
+          );
+        }
+        const contact = parseContactInfo(donor.contactInfo);
+        if (
+          !contact.email ||
+          contact.email.toLowerCase() !== email.toLowerCase()
+        ) {
+          return sendError(
+            res,
+            403,
+            "FORBIDDEN",
+            "Email does not match the donor profile; ask the blood bank to update your contact info"
+          );
+        }
+      } else {
+        if (!name || !branch || !bloodGroup) {
+          return sendError(
+            res,
+            400,
+            "VALIDATION_ERROR",
+            "No donor with this roll number; name, branch and bloodGroup are required to register",
+            missingFieldDetails({ name, branch, bloodGroup })
+          );
+        }
+        donor = new Donor({
+          name,
+          branch,
+          rollNumber,
+          bloodGroup,
+          contactInfo: contactInfo || email,
+        });
+        await donor.save();
+        createdDonor = true;
+
+        const facility = await getDefaultFacility();
+        await BloodInventory.findOneAndUpdate(
+          { facility: facility._id, bloodType: bloodGroup },
+          { $inc: { donorCount: 1 } },
+          { upsert: true }
+        );
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 12);
+      const user = new User({
+        email,
+        password: hashedPassword,
+        role: "donor",
+        donor: donor._id,
+      });
+      await user.save();
+      await sendVerificationEmail(user);
+
+      res.status(201).json({
+        message: `${
+          createdDonor
+            ? "Donor account and profile created"
+            : "Donor account linked to existing profile"
+        }; check your email to verify it`,
+        donor,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error registering donor account",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Accept a staff invitation
+// Creates the account, or gives an existing account the invited role
+app.post(
+  "/api/auth/accept-invitation",
+  validate({
+    body: { token: rules.string(required), password: rules.string() },
+  }),
+  async (req, res) => {
+    try {
+      const { token, password } = req.body;
+
+      const invitation =
+        token &&
+        (await StaffInvitation.findOne({
+          tokenHash: hashToken(token),
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        }));
+
+      if (!invitation) {
+        return sendError(
+          res,
+          404,
+          "NOT_FOUND",
+          "Invitation not found or expired"
+        );
+      }
+
+      let user = await User.findOne({ email: invitation.email });
+
+      if (user) {
+        if (user.role === "donor") {
+          return sendError(
+            res,
+            400,
+            "INVALID_STATE",
+            "Donor accounts cannot be staff; accept with another email"
+          );
+        }
+        user.role = invitation.role;
+        user.isActive = true;
+      } else {
+        const problem = passwordProblem(password);
+        if (problem) {
+          return sendError(res, 400, "VALIDATION_ERROR", problem, [
+            { location: "body", field: "password" },
+          ]);
+        }
+        user = new User({
+          email: invitation.email,
+          password: await bcrypt.hash(password, 12),
+          role: invitation.role,
+        });
+      }
+      // The invitation was emailed, which proves the address
+      user.emailVerified = true;
+      await user.save();
+
+      invitation.acceptedAt = new Date();
+      invitation.acceptedBy = user._id;
+      await invitation.save();
+
+      res.json({
+        message: "Invitation accepted",
+        user: { id: user._id, email: user.email, role: user.role },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error accepting invitation", error: error.message });
+    }
+  }
+);
+
+// Login
+// Accounts are locked for LOCKOUT_MINUTES after MAX_FAILED_LOGINS wrong
+// passwords in a row
+app.post(
+  "/api/auth/login",
+  validate({
+    body: { email: rules.string(required), password: rules.string(required) },
+  }),
+  async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      // Find user
+      const user = await User.findOne({ email });
+      if (!user) {
+        return sendError(
+          res,
+          401,
+          "INVALID_CREDENTIALS",
+          "Invalid credentials"
+        );
+      }
+
+      if (user.lockedUntil && user.lockedUntil > new Date()) {
+        return sendError(
+          res,
+          423,
+          "ACCOUNT_LOCKED",
+          "Account is locked after too many failed logins",
+          [],
+          { lockedUntil: user.lockedUntil }
+        );
+      }
+
+      // Check password
+      const isPasswordValid = await bcrypt.compare(
+        password || "",
+        user.password
+      );
+      if (!isPasswordValid) {
+        user.failedLoginAttempts += 1;
+        if (user.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+          user.failedLoginAttempts = 0;
+          user.lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+        }
+        await user.save();
+        return sendError(
+          res,
+          401,
+          "INVALID_CREDENTIALS",
+          "Invalid credentials"
+        );
+      }
+
+      if (!user.isActive) {
+        return sendError(res, 403, "ACCOUNT_DISABLED", "Account is disabled");
+      }
+
+      if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+        return sendError(
+          res,
+          403,
+          "EMAIL_NOT_VERIFIED",
+          "Verify your email address before logging in"
+        );
+      }
+
+      user.failedLoginAttempts = 0;
+      user.lockedUntil = undefined;
+      await user.save();
+
+      const tokens = await startSession(user, req);
+
+      res.json({
+        ...tokens,
+        user: {
+          id: user._id,
+          email: user.email,
+          role: user.role,
+          permissions: ROLE_PERMISSIONS[user.role] || [],
+          ...(user.donor && { donor: user.donor }),
+        },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error logging in", error: error.message });
+    }
+  }
+);
+
+// Swap a refresh token for a new access token and refresh token
+// A refresh token that was already used ends the session, since it means the
+// token was copied
+app.post(
+  "/api/auth/refresh",
+  validate({ body: { refreshToken: rules.string(required) } }),
+  async (req, res) => {
+    try {
+      const [sessionId, secret] = String(req.body.refreshToken || "").split(
+        "."
+      );
+
+      const session =
+        mongoose.Types.ObjectId.isValid(sessionId) &&
+        (await AuthSession.findById(sessionId));
+
+      if (!session || !secret || session.revokedAt) {
+        return sendError(res, 401, "INVALID_TOKEN", "Invalid refresh token");
+      }
+
+      if (session.refreshTokenHash !== hashToken(secret)) {
+        session.revokedAt = new Date();
+        session.revokeReason = "token_reuse";
+        await session.save();
+        return sendError(res, 401, "INVALID_TOKEN", "Invalid refresh token");
+      }
+
+      if (session.expiresAt <= new Date()) {
+        return sendError(res, 401, "SESSION_EXPIRED", "Session has expired");
+      }
+
+      const user = await User.findById(session.user);
+      if (!user || !user.isActive) {
+        return sendError(
+          res,
+          403,
+          "ACCOUNT_DISABLED",
+          "Account is disabled or no longer exists"
+        );
+      }
+
+      const refreshToken = setRefreshToken(session);
+      await session.save();
+
+      res.json(tokenResponse(user, session, refreshToken));
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error refreshing token", error: error.message });
+    }
+  }
+);
+
+// Log out this session, or every session with allSessions: true
+app.post(
+  "/api/auth/logout",
+  authenticateToken,
+  validate({ body: { allSessions: rules.boolean() } }),
+  async (req, res) => {
+    try {
+      if (req.body.allSessions) {
+        const user = await User.findById(req.user.userId);
+        await revokeAllAccess(user, "logout");
+      } else if (req.user.sessionId) {
+        await revokeSessions({ _id: req.user.sessionId }, "logout");
+      }
+
+      res.json({ message: "Logged out" });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error logging out", error: error.message });
+    }
+  }
+);
+
+// Change my password; signs out every session
+app.post(
+  "/api/auth/change-password",
+  authenticateToken,
+  validate({
+    body: {
+      currentPassword: rules.string(required),
+      newPassword: rules.string(required),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await User.findById(req.user.userId);
+      if (!(await bcrypt.compare(currentPassword || "", user.password))) {
+        return sendError(
+          res,
+          401,
+          "INVALID_CREDENTIALS",
+          "Current password is incorrect"
+        );
+      }
+
+      const problem = passwordProblem(newPassword);
+      if (problem) {
+        return sendError(res, 400, "VALIDATION_ERROR", problem, [
+          { location: "body", field: "newPassword" },
+        ]);
+      }
+
+      user.password = await bcrypt.hash(newPassword, 12);
+      user.passwordChangedAt = new Date();
+      await revokeAllAccess(user, "password_change");
+
+      res.json({ message: "Password changed; please log in again" });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error changing password", error: error.message });
+    }
+  }
+);
+
+// Email a password reset link
+// Always answers the same way, so it cannot be used to find accounts
+app.post(
+  "/api/auth/forgot-password",
+  validate({ body: { email: rules.string(required) } }),
+  async (req, res) => {
+    try {
+      const user =
+        req.body.email && (await User.findOne({ email: req.body.email }));
+
+      if (user && user.isActive) {
+        const token = issueEmailToken(
+          user,
+          "passwordReset",
+          PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+        );
+        await user.save();
+        await queueDelivery(
+          "email",
+          user.email,
+          "password_reset",
+          {
+            token,
+            link: `${APP_BASE_URL}/api/auth/reset-password?token=${token}`,
+          },
+          user._id
+        );
+      }
+
+      res.json({
+        message: "If the account exists, a reset link has been emailed",
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error requesting reset", error: error.message });
+    }
+  }
+);
+
+// Set a new password with the emailed reset token
+// Also unlocks the account and signs out every session
+app.post(
+  "/api/auth/reset-password",
+  validate({
+    body: {
+      token: rules.string(required),
+      newPassword: rules.string(required),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      const user =
+        token &&
+        (await User.findOne({
+          passwordResetTokenHash: hashToken(token),
+          passwordResetExpiresAt: { $gt: new Date() },
+        }));
+
+      if (!user) {
+        return sendError(
+          res,
+          400,
+          "INVALID_TOKEN",
+          "Reset link is invalid or has expired"
+        );
+      }
+
+      const problem = passwordProblem(newPassword);
+      if (problem) {
+        return sendError(res, 400, "VALIDATION_ERROR", problem, [
+          { location: "body", field: "newPassword" },
+        ]);
+      }
+
+      user.password = await bcrypt.hash(newPassword, 12);
+      user.passwordChangedAt = new Date();
+      user.passwordResetTokenHash = undefined;
+      user.passwordResetExpiresAt = undefined;
+      user.failedLoginAttempts = 0;
+      user.lockedUntil = undefined;
+      // Receiving the reset email proves the address
+      user.emailVerified = true;
+      await revokeAllAccess(user, "password_change");
+
+      res.json({ message: "Password reset; you can now log in" });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error resetting password", error: error.message });
+    }
+  }
+);
+
+// Verify an email address from the emailed link
+app.get(
+  "/api/auth/verify-email",
+  validate({ query: { token: rules.string(required) } }),
+  async (req, res) => {
+    try {
+      const { token } = req.query;
+
+      const user =
+        token &&
+        (await User.findOne({
+          emailVerificationTokenHash: hashToken(String(token)),
+          emailVerificationExpiresAt: { $gt: new Date() },
+        }));
+
+      if (!user) {
+        return sendError(
+          res,
+          400,
+          "INVALID_TOKEN",
+          "Verification link is invalid or has expired"
+        );
+      }
+
+      user.emailVerified = true;
+      user.emailVerificationTokenHash = undefined;
+      user.emailVerificationExpiresAt = undefined;
+      await user.save();
+
+      res.json({ message: "Email verified; you can now log in" });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error verifying email", error: error.message });
+    }
+  }
+);
+
+// Send a new verification link
+app.post(
+  "/api/auth/resend-verification",
+  validate({ body: { email: rules.string(required) } }),
+  async (req, res) => {
+    try {
+      const user =
+        req.body.email && (await User.findOne({ email: req.body.email }));
+
+      if (user && !user.emailVerified) {
+        await sendVerificationEmail(user);
+      }
+
+      res.json({
+        message: "If the account needs verifying, a new link has been emailed",
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error sending verification email",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// 2. BLOOD INVENTORY ROUTES
+
+// Get blood inventory (availability worked out from non-expired available bags)
+// Totals across all facilities with a per-facility breakdown, or a single
+// facility with ?facility=<id or code>
+app.get(
+  "/api/inventory",
+  validate({
+    query: {
+      componentType: rules.oneOf(COMPONENT_TYPES),
+      facility: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { componentType } = req.query;
+      const bagFilter = componentType ? { componentType } : {};
+
+      let facility = null;
+      if (req.query.facility) {
+        facility = await resolveFacility(req.query.facility);
+        if (!facility) {
+          return sendError(res, 404, "NOT_FOUND", "Facility not found");
+        }
+        bagFilter.facility = facility._id;
+      }
+
+      const [inventory, counts, components] = await Promise.all([
+        BloodInventory.find(facility ? { facility: facility._id } : {})
+          .populate("facility", "name code type")
+          .sort({ bloodType: 1 }),
+        BloodBag.aggregate([
+          { $match: availableBagsQuery(bagFilter) },
+          {
+            $group: {
+              _id: { facility: "$facility", bloodType: "$bloodType" },
+              units: { $sum: 1 },
+              nextExpiry: { $min: "$expiryDate" },
+            },
+          },
+        ]),
+        getComponentAvailability(facility ? { facility: facility._id } : {}),
+      ]);
+
+      const rows = inventory
+        .filter((item) => item.facility)
+        .map((item) => {
+          const count = counts.find(
+            (c) =>
+              c._id.bloodType === item.bloodType &&
+              String(c._id.facility) === String(item.facility._id)
+          );
+          return {
+            ...item.toObject(),
+            unitsAvailable: count ? count.units : 0,
+            nextExpiry: count ? count.nextExpiry : null,
+          };
+        });
+
+      if (facility) {
+        return res.json(
+          rows.map((row) => ({ ...row, components: components[row.bloodType] }))
+        );
+      }
+
+      const result = BLOOD_TYPES.map((bloodType) => {
+        const typeRows = rows.filter((row) => row.bloodType === bloodType);
+        const expiries = typeRows
+          .map((row) => row.nextExpiry)
+          .filter(Boolean)
+          .sort((a, b) => a - b);
+        return {
+          bloodType,
+          unitsAvailable: typeRows.reduce(
+            (sum, r) => sum + r.unitsAvailable,
+            0
+          ),
+          donorCount: typeRows.reduce((sum, r) => sum + r.donorCount, 0),
+          nextExpiry: expiries.length ? expiries[0] : null,
+          components: components[bloodType],
+          facilities: typeRows.map((row) => ({
+            facility: row.facility,
+            unitsAvailable: row.unitsAvailable,
+            lowStockThreshold: row.lowStockThreshold,
+            nextExpiry: row.nextExpiry,
+          })),
+        };
+      });
+
+      res.json(result);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching inventory", error: error.message });
+    }
+  }
+);
+
+// Export the current inventory as CSV or Excel (inventory:read)
+// One row per facility and blood type, counted from available bags like
+// GET /api/inventory
+app.get(
+  "/api/inventory/export",
+  authenticateToken,
+  requirePermission("inventory:read"),
+  validate({
+    query: { format: rules.oneOf(EXPORT_FORMATS), facility: rules.string() },
+  }),
+  async (req, res) => {
+    try {
+      const { format = "csv" } = req.query;
+
+      let facility = null;
+      if (req.query.facility) {
+        facility = await resolveFacility(req.query.facility);
+        if (!facility) {
+          return sendError(res, 404, "NOT_FOUND", "Facility not found");
+        }
+      }
+      const facilityFilter = facility ? { facility: facility._id } : {};
+
+      const [inventory, counts] = await Promise.all([
+        BloodInventory.find(facilityFilter)
+          .populate("facility", "name code")
+          .sort({ bloodType: 1 }),
+        BloodBag.aggregate([
+          { $match: availableBagsQuery(facilityFilter) },
+          {
+            $group: {
+              _id: {
+                facility: "$facility",
+                bloodType: "$bloodType",
+                componentType: "$componentType",
+              },
+              units: { $sum: 1 },
+              nextExpiry: { $min: "$expiryDate" },
+            },
+          },
+        ]),
+      ]);
+
+      const rows = inventory
+        .filter((item) => item.facility)
+        .sort((a, b) => a.facility.name.localeCompare(b.facility.name))
+        .map((item) => {
+          const itemCounts = counts.filter(
+            (c) =>
+              c._id.bloodType === item.bloodType &&
+              String(c._id.facility) === String(item.facility._id)
+          );
+          const unitsOf = (componentType) =>
+            itemCounts
+              .filter((c) => c._id.componentType === componentType)
+              .reduce((sum, c) => sum + c.units, 0);
+          const unitsAvailable = itemCounts.reduce(
+            (sum, c) => sum + c.units,
+            0
+          );
+          const expiries = itemCounts
+            .map((c) => c.nextExpiry)
+            .sort((a, b) => a - b);
+
+          return {
+            facility: item.facility.name,
+            facilityCode: item.facility.code,
+            bloodType: item.bloodType,
+            unitsAvailable,
+            ...Object.fromEntries(
+              COMPONENT_TYPES.map((type) => [type, unitsOf(type)])
+            ),
+            nextExpiry: expiries.length ? expiries[0] : null,
+            lowStockThreshold: item.lowStockThreshold,
+            lowStock: unitsAvailable < item.lowStockThreshold,
+            donorCount: item.donorCount,
+          };
+        });
+
+      const table = await startTableExport(
+        res,
+        format,
+        "inventory",
+        INVENTORY_EXPORT_COLUMNS
+      );
+      await exportRows(res, table, rows, (row) => row);
+    } catch (error) {
+      sendExportError(res, "Error exporting inventory", error);
+    }
+  }
+);
+
+// Add a blood bag (inventory:write)
+app.post(
+  "/api/inventory/bags",
+  authenticateToken,
+  requirePermission("inventory:write"),
+  validate({
+    body: {
+      bagId: rules.string(),
+      bloodType: rules.oneOf(BLOOD_TYPES, required),
+      donor: rules.objectId(),
+      componentType: rules.oneOf(COMPONENT_TYPES),
+      collectionDate: rules.date(),
+      expiryDate: rules.date(),
+      storageLocation: rules.string(),
+      status: rules.oneOf(BAG_STATUSES),
+      notes: rules.string(),
+      facility: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const {
+        bagId,
+        bloodType,
+        donor,
+        componentType,
+        collectionDate,
+        expiryDate,
+        storageLocation,
+        status,
+        notes,
+      } = req.body;
+
+      if (bagId && (await BloodBag.findOne({ bagId }))) {
+        return sendError(
+          res,
+          400,
+          "ALREADY_EXISTS",
+          "Blood bag with this ID already exists"
+        );
+      }
+
+      const facility = await resolveFacility(req.body.facility);
+      if (!facility || !facility.isActive) {
+        return sendError(res, 404, "NOT_FOUND", "Facility not found");
+      }
+
+      const collectedAt = collectionDate
+        ? new Date(collectionDate)
+        : new Date();
+
+      const bag = new BloodBag({
+        bagId: bagId || generateBagId(),
+        bloodType,
+        facility: facility._id,
+        donor,
+        componentType,
+        collectionDate: collectedAt,
+        expiryDate:
+          expiryDate || calculateExpiryDate(componentType, collectedAt),
+        storageLocation,
+        status,
+        notes,
+      });
+
+      await bag.save();
+      if (bag.status === "available") {
+        await recordInventoryTransactions([bag], 1, "manual_adjustment", {
+          actor: req.user,
+          donorId: bag.donor,
+          notes,
+        });
+      }
+      await syncInventoryCounts([bag.bloodType]);
+
+      res.status(201).json({ message: "Blood bag added", bag });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error adding blood bag", error: error.message });
+    }
+  }
+);
+
+// Get blood bags (inventory:read)
+app.get(
+  "/api/inventory/bags",
+  authenticateToken,
+  requirePermission("inventory:read"),
+  validate({
+    query: {
+      ...pageQuery,
+      bloodType: rules.oneOf(BLOOD_TYPES),
+      status: rules.oneOf(BAG_STATUSES),
+      componentType: rules.oneOf(COMPONENT_TYPES),
+      facility: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+      const { bloodType, status, componentType } = req.query;
+
+      let query = {};
+      if (bloodType) query.bloodType = bloodType;
+      if (status) query.status = status;
+      if (componentType) query.componentType = componentType;
+      if (req.query.facility) {
+        const facility = await resolveFacility(req.query.facility);
+        if (!facility) {
+          return sendError(res, 404, "NOT_FOUND", "Facility not found");
+        }
+        query.facility = facility._id;
+      }
+
+      const bags = await BloodBag.find(query)
+        .populate("facility", "name code")
+        .sort({ expiryDate: 1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await BloodBag.countDocuments(query);
+
+      res.json({
+        bags,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: bags.length,
+          totalBags: total,
+        },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching blood bags", error: error.message });
+    }
+  }
+);
+
+// Separate a whole-blood unit into components (inventory:write)
+app.post(
+  "/api/inventory/bags/:bagId/separate",
+  authenticateToken,
+  requirePermission("inventory:write"),
+  validate({
+    params: { bagId: rules.string(required) },
+    body: {
+      components: rules.array(
+        rules.object({
+          componentType: rules.oneOf(
+            COMPONENT_TYPES.filter((type) => type !== "whole_blood"),
+            required
+          ),
+          bagId: rules.string(),
+          storageLocation: rules.string(),
+        }),
+        { minItems: 1 }
+      ),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const components = req.body.components || [
+        { componentType: "prbc" },
+        { componentType: "plasma" },
+        { componentType: "platelets" },
+      ];
+
+      const parent = await BloodBag.findOne({ bagId: req.params.bagId });
+      if (!parent) {
+        return sendError(res, 404, "NOT_FOUND", "Blood bag not found");
+      }
+
+      if (parent.componentType !== "whole_blood") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          "Only whole-blood units can be separated"
+        );
+      }
+
+      if (!BAG_STATUS_TRANSITIONS[parent.status].includes("separated")) {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Cannot separate a bag with status ${parent.status}`
+        );
+      }
+
+      if (parent.expiryDate <= new Date()) {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          "Expired bags cannot be separated"
+        );
+      }
+
+      const children = components.map(
+        (component) =>
+          new BloodBag({
+            bagId: component.bagId || generateBagId(),
+            bloodType: parent.bloodType,
+            facility: parent.facility,
+            donor: parent.donor,
+            componentType: component.componentType,
+            parentBag: parent._id,
+            collectionDate: parent.collectionDate,
+            expiryDate: calculateExpiryDate(
+              component.componentType,
+              parent.collectionDate
+            ),
+            storageLocation: component.storageLocation,
+            // Components inherit the screening state of the donated unit
+            status: parent.status,
+          })
+      );
+
+      const duplicate = await BloodBag.findOne({
+        bagId: { $in: children.map((child) => child.bagId) },
+      });
+      if (duplicate) {
+        return sendError(
+          res,
+          400,
+          "ALREADY_EXISTS",
+          `Blood bag with ID ${duplicate.bagId} already exists`
+        );
+      }
+
+      await BloodBag.insertMany(children);
+
+      const wasAvailable = parent.status === "available";
+      parent.status = "separated";
+      parent.updatedAt = new Date();
+      await parent.save();
+
+      if (wasAvailable) {
+        const context = { actor: req.user, donorId: parent.donor };
+        await recordInventoryTransactions([parent], -1, "separation", context);
+        await recordInventoryTransactions(children, 1, "separation", context);
+      }
+
+      await syncInventoryCounts([parent.bloodType]);
+
+      res.status(201).json({
+        message: "Blood bag separated into components",
+        parent,
+        components: children,
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error separating blood bag", error: error.message });
+    }
+  }
+);
+
+// Update blood bag status (inventory:write)
+app.put(
+  "/api/inventory/bags/:bagId/status",
+  authenticateToken,
+  requirePermission("inventory:write"),
+  validate({
+    params: { bagId: rules.string(required) },
+    body: {
+      status: rules.oneOf(BAG_STATUSES, required),
+      storageLocation: rules.string(),
+      notes: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { status, storageLocation, notes } = req.body;
+
+      const bag = await BloodBag.findOne({ bagId: req.params.bagId });
+      if (!bag) {
+        return sendError(res, 404, "NOT_FOUND", "Blood bag not found");
+      }
+
+      const wasAvailable = bag.status === "available";
+
+      if (status && status !== bag.status) {
+        // A reservation belongs to a request; changing the bag alone would
+        // leave the request's reservation out of step with its bags
+        if (status === "reserved" || bag.status === "reserved") {
+          return sendError(
+            res,
+            400,
+            "INVALID_STATE",
+            "Bags are reserved and released only through their blood request"
+          );
+        }
+        if (!BAG_STATUS_TRANSITIONS[bag.status].includes(status)) {
+          return sendError(
+            res,
+            400,
+            "INVALID_STATE",
+            `Cannot change bag status from ${bag.status} to ${status}`
+          );
+        }
+        if (status === "available" && bag.expiryDate <= new Date()) {
+          return sendError(
+            res,
+            400,
+            "INVALID_STATE",
+            "Expired bags cannot be made available"
+          );
+        }
+        bag.status = status;
+      }
+
+      if (storageLocation !== undefined) bag.storageLocation = storageLocation;
+      if (notes !== undefined) bag.notes = notes;
+      bag.updatedAt = new Date();
+
+      await bag.save();
+
+      if (wasAvailable !== (bag.status === "available")) {
+        const reasons = {
+          issued: "issue",
+          discarded: "discard",
+          expired: "expiry",
+        };
+        await recordInventoryTransactions(
+          [bag],
+          wasAvailable ? -1 : 1,
+          reasons[bag.status] || "manual_adjustment",
+          { actor: req.user, donorId: bag.donor, notes }
+        );
+      }
+
+      await syncInventoryCounts([bag.bloodType]);
+      await checkLowStock();
+
+      res.json(bag);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error updating blood bag", error: error.message });
+    }
+  }
+);
+
+// Get the inventory ledger for a blood type (inventory:read)
+// Covers all facilities unless ?facility= is given
+app.get(
+  "/api/inventory/:bloodType/history",
+  authenticateToken,
+  requirePermission("inventory:read"),
+  validate({
+    params: { bloodType: rules.oneOf(BLOOD_TYPES, required) },
+    query: {
+      ...pageQuery,
+      reason: rules.oneOf(INVENTORY_TRANSACTION_REASONS),
+      componentType: rules.oneOf(COMPONENT_TYPES),
+      requestId: rules.objectId(),
+      donorId: rules.objectId(),
+      transferId: rules.objectId(),
+      from: rules.date(),
+      to: rules.date(),
+      facility: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { bloodType } = req.params;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
+      const { reason, componentType, requestId, donorId, from, to } = req.query;
+
+      let query = { bloodType };
+      let facility = null;
+      if (req.query.facility) {
+        facility = await resolveFacility(req.query.facility);
+        if (!facility) {
+          return sendError(res, 404, "NOT_FOUND", "Facility not found");
+        }
+        query.facility = facility._id;
+      }
+      const scope = facility
+        ? { bloodType, facility: facility._id }
+        : { bloodType };
+      if (reason) query.reason = reason;
+      if (componentType) query.componentType = componentType;
+      if (requestId) query.relatedRequest = requestId;
+      if (donorId) query.relatedDonor = donorId;
+      if (req.query.transferId) query.relatedTransfer = req.query.transferId;
+      if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+      }
+
+      const [transactions, total, balance, inventory] = await Promise.all([
+        InventoryTransaction.find(query)
+          .populate("facility", "name code")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        InventoryTransaction.countDocuments(query),
+        // Running total over the whole ledger, not just the filtered page
+        InventoryTransaction.aggregate([
+          { $match: scope },
+          { $group: { _id: null, units: { $sum: "$delta" } } },
+        ]),
+        BloodInventory.find(scope),
+      ]);
+
+      res.json({
+        bloodType,
+        facility,
+        unitsAvailable: inventory.reduce((sum, i) => sum + i.unitsAvailable, 0),
+        ledgerBalance: balance.length ? balance[0].units : 0,
+        transactions,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: transactions.length,
+          totalTransactions: total,
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching inventory history",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Update inventory settings for a blood type at a facility (inventory:write)
+// unitsAvailable is derived from the bags and cannot be set directly
+app.put(
+  "/api/inventory/:bloodType",
+  authenticateToken,
+  requirePermission("inventory:write"),
+  validate({
+    params: { bloodType: rules.oneOf(BLOOD_TYPES, required) },
+    body: {
+      unitsAvailable: rules.integer({ min: 0 }),
+      donorCount: rules.integer({ min: 0 }),
+      lowStockThreshold: rules.integer({ min: 0 }),
+      facility: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { bloodType } = req.params;
+      const { unitsAvailable, donorCount, lowStockThreshold } = req.body;
+
+      if (unitsAvailable !== undefined) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "unitsAvailable is calculated from blood bags; add or update bags instead",
+          [{ location: "body", field: "unitsAvailable" }]
+        );
+      }
+
+      const facility = await resolveFacility(req.body.facility);
+      if (!facility) {
+        return sendError(res, 404, "NOT_FOUND", "Facility not found");
+      }
+
+      let inventory = await BloodInventory.findOne({
+        facility: facility._id,
+        bloodType,
+      });
+
+      if (!inventory) {
+        inventory = new BloodInventory({ facility: facility._id, bloodType });
+      }
+
+      if (donorCount !== undefined) inventory.donorCount = donorCount;
+      if (lowStockThreshold !== undefined)
+        inventory.lowStockThreshold = lowStockThreshold;
+      inventory.lastUpdated = new Date();
+
+      await inventory.save();
+
+      // Check for low stock
+      await checkLowStock();
+
+      res.json(inventory);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error updating inventory", error: error.message });
+    }
+  }
+);
+
+// Initialize inventory for all blood types at every active facility
+app.post(
+  "/api/inventory/initialize",
+  authenticateToken,
+  requirePermission("inventory:write"),
+  validate({}),
+  async (req, res) => {
+    try {
+      await getDefaultFacility();
+      const facilities = await Facility.find({ isActive: true });
+
+      for (const facility of facilities) {
+        for (const bloodType of BLOOD_TYPES) {
+          const existing = await BloodInventory.findOne({
+            facility: facility._id,
+            bloodType,
+          });
+          if (!existing) {
+            await BloodInventory.create({
+              facility: facility._id,
+              bloodType,
+              unitsAvailable: 0,
+              donorCount: 0,
+            });
+          }
+        }
+      }
+
+      await syncInventoryCounts();
+
+      const inventory = await BloodInventory.find()
+        .populate("facility", "name code")
+        .sort({ facility: 1, bloodType: 1 });
+      res.json({ message: "Inventory initialized", inventory });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error initializing inventory",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// 2a. FACILITY AND TRANSFER ROUTES
+
+// Add a facility (facilities:write)
+app.post(
+  "/api/facilities",
+  authenticateToken,
+  requirePermission("facilities:write"),
+  validate({
+    body: {
+      name: rules.string(required),
+      code: rules.string({ required: true, maxLength: 20 }),
+      type: rules.oneOf(FACILITY_TYPES),
+      address: rules.string(),
+      contactInfo: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { name, code, type, address, contactInfo } = req.body;
+
+      if (await Facility.findOne({ code: code.toUpperCase() })) {
+        return sendError(
+          res,
+          400,
+          "ALREADY_EXISTS",
+          "Facility with this code already exists"
+        );
+      }
+
+      const facility = new Facility({ name, code, type, address, contactInfo });
+      await facility.save();
+
+      // Give the new facility an inventory row per blood type
+      await syncInventoryCounts();
+
+      res.status(201).json({ message: "Facility added", facility });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error adding facility", error: error.message });
+    }
+  }
+);
+
+// Get facilities
+app.get(
+  "/api/facilities",
+  authenticateToken,
+  validate({
+    query: { active: rules.boolean(), type: rules.oneOf(FACILITY_TYPES) },
+  }),
+  async (req, res) => {
+    try {
+      await getDefaultFacility();
+
+      let query = {};
+      if (req.query.type) query.type = req.query.type;
+      if (req.query.active !== undefined) {
+        query.isActive = req.query.active;
+      }
+
+      const facilities = await Facility.find(query).sort({
+        isDefault: -1,
+        name: 1,
+      });
+
+      res.json(facilities);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching facilities", error: error.message });
+    }
+  }
+);
+
+// Update a facility (facilities:write)
+app.put(
+  "/api/facilities/:id",
+  authenticateToken,
+  requirePermission("facilities:write"),
+  validate({
+    params: idParams,
+    body: {
+      name: rules.string(),
+      type: rules.oneOf(FACILITY_TYPES),
+      address: rules.string(),
+      contactInfo: rules.string(),
+      isActive: rules.boolean(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { name, type, address, contactInfo, isActive } = req.body;
+
+      const facility = await Facility.findById(req.params.id);
+      if (!facility) {
+        return sendError(res, 404, "NOT_FOUND", "Facility not found");
+      }
+
+      if (isActive === false) {
+        if (facility.isDefault) {
+          return sendError(
+            res,
+            400,
+            "INVALID_STATE",
+            "The main blood bank cannot be deactivated"
+          );
+        }
+        const stocked = await BloodBag.exists({
+          facility: facility._id,
+          status: { $in: ["available", "quarantined", "reserved"] },
+        });
+        if (stocked) {
+          return sendError(
+            res,
+            400,
+            "INVALID_STATE",
+            "Transfer or discard the facility's stock first"
+          );
+        }
+      }
+
+      if (name !== undefined) facility.name = name;
+      if (type !== undefined) facility.type = type;
+      if (address !== undefined) facility.address = address;
+      if (contactInfo !== undefined) facility.contactInfo = contactInfo;
+      if (isActive !== undefined) facility.isActive = isActive;
+
+      await facility.save();
+
+      res.json(facility);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error updating facility", error: error.message });
+    }
+  }
+);
+
+// Request a transfer of stock between facilities (transfers:write)
+// items: [{ bloodType, componentType, units }]
+app.post(
+  "/api/transfers",
+  authenticateToken,
+  requirePermission("transfers:write"),
+  validate({
+    body: {
+      fromFacility: rules.string(required),
+      toFacility: rules.string(required),
+      items: rules.array(
+        rules.object({
+          bloodType: rules.oneOf(BLOOD_TYPES, required),
+          componentType: rules.oneOf(COMPONENT_TYPES),
+          units: rules.integer({ required: true, min: 1 }),
+        }),
+        { required: true, minItems: 1 }
+      ),
+      notes: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { fromFacility, toFacility, items, notes } = req.body;
+
+      const [from, to] = await Promise.all([
+        resolveFacility(fromFacility),
+        resolveFacility(toFacility),
+      ]);
+      if (!from || !to) {
+        return sendError(
+          res,
+          404,
+          "NOT_FOUND",
+          "fromFacility and toFacility must exist"
+        );
+      }
+      if (String(from._id) === String(to._id)) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "Cannot transfer stock to the same facility",
+          [{ location: "body", field: "toFacility" }]
+        );
+      }
+      if (!from.isActive || !to.isActive) {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          "Both facilities must be active"
+        );
+      }
+
+      const transfer = new Transfer({
+        fromFacility: from._id,
+        toFacility: to._id,
+        items,
+        notes,
+        requestedBy: req.user.userId,
+      });
+      await transfer.save();
+
+      res.status(201).json({ message: "Transfer requested", transfer });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error requesting transfer", error: error.message });
+    }
+  }
+);
+
+// Get transfers (transfers:read)
+app.get(
+  "/api/transfers",
+  authenticateToken,
+  requirePermission("transfers:read"),
+  validate({
+    query: {
+      ...pageQuery,
+      status: rules.oneOf(TRANSFER_STATUSES),
+      facility: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      let query = {};
+      if (req.query.status) query.status = req.query.status;
+      if (req.query.facility) {
+        const facility = await resolveFacility(req.query.facility);
+        if (!facility) {
+          return sendError(res, 404, "NOT_FOUND", "Facility not found");
+        }
+        query.$or = [
+          { fromFacility: facility._id },
+          { toFacility: facility._id },
+        ];
+      }
+
+      const transfers = await Transfer.find(query)
+        .populate("fromFacility toFacility", "name code")
+        .populate("bags", "bagId bloodType componentType status expiryDate")
+        .sort({ requestedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await Transfer.countDocuments(query);
+
+      res.json({
+        transfers,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: transfers.length,
+          totalTransfers: total,
+        },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching transfers", error: error.message });
+    }
+  }
+);
+
+// Dispatch a transfer (transfers:write)
+// Picks the soonest-expiring bags for each item unless bagIds are given;
+// the bags leave available stock at the source while in transit
+app.post(
+  "/api/transfers/:id/dispatch",
+  authenticateToken,
+  requirePermission("transfers:write"),
+  validate({
+    params: idParams,
+    body: {
+      bagIds: rules.array(rules.string(required)),
+      notes: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const transfer = await Transfer.findById(req.params.id);
+      if (!transfer) {
+        return sendError(res, 404, "NOT_FOUND", "Transfer not found");
+      }
+      if (transfer.status !== "requested") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Cannot dispatch a transfer with status ${transfer.status}`
+        );
+      }
+
+      let bags = [];
+      if (Array.isArray(req.body.bagIds) && req.body.bagIds.length > 0) {
+        bags = await BloodBag.find(
+          availableBagsQuery({
+            bagId: { $in: req.body.bagIds },
+            facility: transfer.fromFacility,
+          })
+        );
+        if (bags.length !== req.body.bagIds.length) {
+          return sendError(
+            res,
+            400,
+            "VALIDATION_ERROR",
+            "Every bag must be available, unexpired and held at the source facility",
+            [{ location: "body", field: "bagIds" }]
+          );
+        }
+        for (const item of transfer.items) {
+          const matching = bags.filter(
+            (bag) =>
+              bag.bloodType === item.bloodType &&
+              bag.componentType === item.componentType
+          );
+          if (matching.length !== item.units) {
+            return sendError(
+              res,
+              400,
+              "VALIDATION_ERROR",
+              `Expected ${item.units} ${item.bloodType} ${item.componentType} bag(s), got ${matching.length}`,
+              [{ location: "body", field: "bagIds" }]
+            );
+          }
+        }
+        if (
+          bags.length !== transfer.items.reduce((sum, i) => sum + i.units, 0)
+        ) {
+          return sendError(
+            res,
+            400,
+            "VALIDATION_ERROR",
+            "Bags do not match the transfer items",
+            [{ location: "body", field: "bagIds" }]
+          );
+        }
+      } else {
+        for (const item of transfer.items) {
+          const picked = await BloodBag.find(
+            availableBagsQuery({
+              bloodType: item.bloodType,
+              componentType: item.componentType,
+              facility: transfer.fromFacility,
+            })
+          )
+            .sort({ expiryDate: 1 })
+            .limit(item.units);
+          if (picked.length < item.units) {
+            return sendError(
+              res,
+              409,
+              "INSUFFICIENT_STOCK",
+              `Only ${picked.length} ${item.bloodType} ${item.componentType} unit(s) available at the source facility`
+            );
+          }
+          bags.push(...picked);
+        }
+      }
+
+      // Claim the bags atomically; back out if another action took one first
+      const ids = bags.map((bag) => bag._id);
+      const claimed = await BloodBag.updateMany(
+        { _id: { $in: ids }, status: "available" },
+        { status: "in_transit", updatedAt: new Date() }
+      );
+      if (claimed.modifiedCount !== ids.length) {
+        await BloodBag.updateMany(
+          { _id: { $in: ids }, status: "in_transit" },
+          { status: "available", updatedAt: new Date() }
+        );
+        return sendError(
+          res,
+          409,
+          "CONFLICT",
+          "Some bags were taken by another action; try again"
+        );
+      }
+
+      transfer.bags = ids;
+      transfer.status = "dispatched";
+      transfer.dispatchedBy = req.user.userId;
+      transfer.dispatchedAt = new Date();
+      await transfer.save();
+
+      await recordInventoryTransactions(bags, -1, "transfer", {
+        actor: req.user,
+        transferId: transfer._id,
+        notes: req.body.notes,
+      });
+      const bloodTypes = [...new Set(bags.map((bag) => bag.bloodType))];
+      await syncInventoryCounts(bloodTypes);
+      await checkLowStock();
+
+      res.json({ message: "Transfer dispatched", transfer });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error dispatching transfer", error: error.message });
+    }
+  }
+);
+
+// Receive a dispatched transfer at the destination (transfers:write)
+// Bags that expired on the way are booked in as expired
+app.post(
+  "/api/transfers/:id/receive",
+  authenticateToken,
+  requirePermission("transfers:write"),
+  validate({
+    params: idParams,
+    body: { storageLocation: rules.string(), notes: rules.string() },
+  }),
+  async (req, res) => {
+    try {
+      const transfer = await Transfer.findById(req.params.id);
+      if (!transfer) {
+        return sendError(res, 404, "NOT_FOUND", "Transfer not found");
+      }
+      if (transfer.status !== "dispatched") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Cannot receive a transfer with status ${transfer.status}`
+        );
+      }
+
+      const now = new Date();
+      const bags = await BloodBag.find({
+        _id: { $in: transfer.bags },
+        status: "in_transit",
+      });
+      const usable = bags.filter((bag) => bag.expiryDate > now);
+      const expired = bags.filter((bag) => bag.expiryDate <= now);
+
+      await BloodBag.updateMany(
+        { _id: { $in: usable.map((bag) => bag._id) } },
+        {
+          status: "available",
+          facility: transfer.toFacility,
+          ...(req.body.storageLocation && {
+            storageLocation: req.body.storageLocation,
+          }),
+          updatedAt: now,
+        }
+      );
+      await BloodBag.updateMany(
+        { _id: { $in: expired.map((bag) => bag._id) } },
+        { status: "expired", facility: transfer.toFacility, updatedAt: now }
+      );
+
+      transfer.status = "received";
+      transfer.receivedBy = req.user.userId;
+      transfer.receivedAt = now;
+      await transfer.save();
+
+      usable.forEach((bag) => (bag.facility = transfer.toFacility));
+      await recordInventoryTransactions(usable, 1, "transfer", {
+        actor: req.user,
+        transferId: transfer._id,
+        notes: req.body.notes,
+      });
+      await syncInventoryCounts([...new Set(bags.map((bag) => bag.bloodType))]);
+
+      res.json({
+        message: "Transfer received",
+        transfer,
+        received: usable.length,
+        expiredInTransit: expired.map((bag) => bag.bagId),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error receiving transfer", error: error.message });
+    }
+  }
+);
+
+// Cancel a transfer (transfers:write)
+// Bags already dispatched go back into stock at the source
+app.post(
+  "/api/transfers/:id/cancel",
+  authenticateToken,
+  requirePermission("transfers:write"),
+  validate({ params: idParams, body: { notes: rules.string() } }),
+  async (req, res) => {
+    try {
+      const transfer = await Transfer.findById(req.params.id);
+      if (!transfer) {
+        return sendError(res, 404, "NOT_FOUND", "Transfer not found");
+      }
+      if (!["requested", "dispatched"].includes(transfer.status)) {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Cannot cancel a transfer with status ${transfer.status}`
+        );
+      }
+
+      if (transfer.status === "dispatched") {
+        const now = new Date();
+        const bags = await BloodBag.find({
+          _id: { $in: transfer.bags },
+          status: "in_transit",
+        });
+        const usable = bags.filter((bag) => bag.expiryDate > now);
+        const expired = bags.filter((bag) => bag.expiryDate <= now);
+
+        await BloodBag.updateMany(
+          { _id: { $in: usable.map((bag) => bag._id) } },
+          { status: "available", updatedAt: now }
+        );
+        await BloodBag.updateMany(
+          { _id: { $in: expired.map((bag) => bag._id) } },
+          { status: "expired", updatedAt: now }
+        );
+
+        await recordInventoryTransactions(usable, 1, "transfer", {
+          actor: req.user,
+          transferId: transfer._id,
+          notes: "Transfer cancelled",
+        });
+        await syncInventoryCounts([
+          ...new Set(bags.map((bag) => bag.bloodType)),
+        ]);
+      }
+
+      transfer.status = "cancelled";
+      transfer.cancelledBy = req.user.userId;
+      transfer.cancelledAt = new Date();
+      if (req.body.notes) transfer.notes = req.body.notes;
+      await transfer.save();
+
+      res.json({ message: "Transfer cancelled", transfer });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error cancelling transfer", error: error.message });
+    }
+  }
+);
+
+// 3. DONOR MANAGEMENT ROUTES
+
+// Register as Blood Ally (Donor Registration)
+app.post(
+  "/api/donors/register",
+  validate({
+    body: {
+      name: rules.string(required),
+      branch: rules.string(required),
+      rollNumber: rules.string(required),
+      bloodGroup: rules.oneOf(BLOOD_TYPES, required),
+      contactInfo: rules.string(required),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { name, branch, rollNumber, bloodGroup, contactInfo } = req.body;
+
+      // Check if roll number already exists
+      const existingDonor = await Donor.findOne({ rollNumber });
+      if (existingDonor) {
+        return sendError(
+          res,
+          400,
+          "ALREADY_EXISTS",
+          "Donor with this roll number already exists"
+        );
+      }
+
+      const donor = new Donor({
+        name,
+        branch,
+        rollNumber,
+        bloodGroup,
+        contactInfo,
+      });
+
+      await donor.save();
+
+      // Update donor count in inventory (donors belong to the main bank)
+      const facility = await getDefaultFacility();
+      await BloodInventory.findOneAndUpdate(
+        { facility: facility._id, bloodType: bloodGroup },
+        { $inc: { donorCount: 1 } },
+        { upsert: true }
+      );
+
+      res.status(201).json({ message: "Donor registered successfully", donor });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error registering donor", error: error.message });
+    }
+  }
+);
+
+// Import donors from a CSV or Excel (.xlsx) sheet (donors:write)
+// dryRun=true only checks the file. While any row has a problem nothing is
+// imported, unless skipInvalid=true, which imports the rows that passed.
+app.post(
+  "/api/donors/import",
+  authenticateToken,
+  requirePermission("donors:write"),
+  upload.single("file"),
+  validate({
+    body: { dryRun: rules.boolean(), skipInvalid: rules.boolean() },
+  }),
+  async (req, res) => {
+    try {
+      const { dryRun, skipInvalid } = req.body;
+
+      if (!req.file) {
+        return sendFileRejection(res, {
+          status: 400,
+          code: "VALIDATION_ERROR",
+          message: "file is required",
+          field: "file",
+        });
+      }
+
+      const { rows, rejection } = await readSpreadsheet(req.file);
+      if (rejection) return sendFileRejection(res, rejection);
+
+      const check = await checkDonorImport(rows);
+      if (check.missingColumns) {
+        return sendFileRejection(res, {
+          status: 422,
+          code: "MISSING_COLUMNS",
+          message: `The first row must name the columns ${DONOR_IMPORT_COLUMNS.join(
+            ", "
+          )}; missing ${check.missingColumns.join(", ")}`,
+          field: "file",
+        });
+      }
+      if (check.totalRows > MAX_IMPORT_ROWS) {
+        return sendFileRejection(res, {
+          status: 422,
+          code: "TOO_MANY_ROWS",
+          message: `Import at most ${MAX_IMPORT_ROWS} donors at a time`,
+          field: "file",
+        });
+      }
+
+      const summary = {
+        totalRows: check.totalRows,
+        validRows: check.donors.length,
+        invalidRows: new Set(check.errors.map((error) => error.row)).size,
+      };
+
+      if (dryRun) {
+        return res.json({
+          dryRun: true,
+          ...summary,
+          errors: check.errors,
+          preview: check.donors.slice(0, IMPORT_PREVIEW_ROWS),
+        });
+      }
+
+      if (check.errors.length && !skipInvalid) {
+        return sendError(
+          res,
+          422,
+          "INVALID_ROWS",
+          `Nothing was imported: ${summary.invalidRows} row(s) have problems`,
+          [],
+          { ...summary, errors: check.errors }
+        );
+      }
+
+      const { imported, errors } = await importDonors(check.donors);
+
+      res.status(201).json({
+        message: `Imported ${imported.length} donor(s)`,
+        ...summary,
+        imported: imported.length,
+        skipped: summary.totalRows - imported.length,
+        errors: [...check.errors, ...errors].sort((a, b) => a.row - b.row),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error importing donors", error: error.message });
+    }
+  }
+);
+
+// Get all donors (with pagination)
+// ?eligible=true returns only donors who may donate today
+app.get(
+  "/api/donors",
+  validate({ query: { ...pageQuery, eligible: rules.boolean() } }),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      const query = req.query.eligible ? eligibleDonorQuery() : {};
+
+      // Deferral reasons are medical details and stay out of public listings
+      const donors = await Donor.find(query)
+        .select("-deferrals")
+        .sort({ registeredAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await Donor.countDocuments(query);
+
+      res.json({
+        donors,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: donors.length,
+          totalDonors: total,
+        },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching donors", error: error.message });
+    }
+  }
+);
+
+// Search donors (donors:read)
+// Filters combine; bloodGroup and branch may be repeated to allow several.
+// Each facet is counted with every filter except its own, so a filter chip
+// shows how many donors choosing it would give.
+app.get(
+  "/api/donors/search",
+  authenticateToken,
+  requirePermission("donors:read"),
+  validate({
+    query: {
+      q: rules.string({ maxLength: 100 }),
+      bloodGroup: rules.array(rules.oneOf(BLOOD_TYPES, required)),
+      compatibleWith: rules.oneOf(BLOOD_TYPES),
+      component: rules.oneOf(COMPONENT_TYPES),
+      branch: rules.array(rules.string(required)),
+      isAvailable: rules.boolean(),
+      eligible: rules.boolean(),
+      lastDonationFrom: rules.date(),
+      lastDonationTo: rules.date(),
+      sort: rules.oneOf(DONOR_SEARCH_SORTS),
+      limit: pageQuery.limit,
+      cursor: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const sort = req.query.sort || "-registeredAt";
+      const limit = req.query.limit || 10;
+      const field = sort.replace(/^-/, "");
+      const direction = sort.startsWith("-") ? -1 : 1;
+
+      let position = null;
+      if (req.query.cursor) {
+        position = decodeSearchCursor(req.query.cursor, sort);
+        if (!position) {
+          return sendError(
+            res,
+            400,
+            "VALIDATION_ERROR",
+            "cursor is not valid for this search",
+            [
+              {
+                location: "query",
+                field: "cursor",
+                message: "is not valid for this search",
+              },
+            ]
+          );
+        }
+      }
+
+      const filters = donorSearchFilters(req.query, new Date());
+      const match = {
+        ...filters.base,
+        ...filters.bloodGroup,
+        ...filters.branch,
+      };
+
+      const [donors, [facets]] = await Promise.all([
+        // Deferral reasons are medical details and stay out of listings
+        Donor.find(
+          position
+            ? { $and: [match, afterSearchCursor(field, direction, position)] }
+            : match
+        )
+          .select("-deferrals")
+          .sort({ [field]: direction, _id: direction })
+          .collation(DONOR_SEARCH_COLLATION)
+          .limit(limit + 1),
+        Donor.aggregate([
+          { $match: filters.base },
+          {
+            $facet: {
+              bloodGroup: [
+                { $match: filters.branch },
+                { $group: { _id: "$bloodGroup", count: { $sum: 1 } } },
+              ],
+              branch: [
+                { $match: filters.bloodGroup },
+                { $group: { _id: "$branch", count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+              ],
+              total: [
+                { $match: { ...filters.bloodGroup, ...filters.branch } },
+                { $count: "count" },
+              ],
+            },
+          },
+        ]).collation(DONOR_SEARCH_COLLATION),
+      ]);
+
+      const hasMore = donors.length > limit;
+      const page = donors.slice(0, limit);
+
+      res.json({
+        donors: page,
+        facets: {
+          bloodGroup: BLOOD_TYPES.map((value) => ({
+            value,
+            count: facets.bloodGroup.find((f) => f._id === value)?.count || 0,
+          })),
+          branch: facets.branch.map((f) => ({ value: f._id, count: f.count })),
+        },
+        pagination: {
+          count: page.length,
+          limit,
+          hasMore,
+          nextCursor: hasMore
+            ? encodeSearchCursor(sort, page[page.length - 1])
+            : null,
+          totalDonors: facets.total.length ? facets.total[0].count : 0,
+        },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error searching donors", error: error.message });
+    }
+  }
+);
+
+// Export donors as CSV or Excel (donors:read)
+app.get(
+  "/api/donors/export",
+  authenticateToken,
+  requirePermission("donors:read"),
+  validate({
+    query: {
+      format: rules.oneOf(EXPORT_FORMATS),
+      eligible: rules.boolean(),
+      bloodGroup: rules.oneOf(BLOOD_TYPES),
+      branch: rules.string(),
+      isAvailable: rules.boolean(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { format = "csv", bloodGroup, branch, isAvailable } = req.query;
+      const now = new Date();
+
+      const query = req.query.eligible ? eligibleDonorQuery(now) : {};
+      if (bloodGroup) query.bloodGroup = bloodGroup;
+      if (branch) query.branch = branch;
+      if (isAvailable !== undefined) query.isAvailable = isAvailable;
+
+      // Deferral reasons are medical details and are never exported
+      const cursor = Donor.find(query)
+        .select("-deferrals -calloutStats")
+        .sort({ registeredAt: -1 })
+        .lean()
+        .cursor();
+
+      const table = await startTableExport(
+        res,
+        format,
+        "donors",
+        DONOR_EXPORT_COLUMNS
+      );
+      await exportRows(res, table, cursor, (donor) => ({
+        ...donor,
+        eligible:
+          !donor.isPermanentlyDeferred &&
+          (!donor.nextEligibleDate || donor.nextEligibleDate <= now),
+        donations: donor.donationHistory.filter((d) => !d.reversedAt).length,
+      }));
+    } catch (error) {
+      sendExportError(res, "Error exporting donors", error);
+    }
+  }
+);
+
+// Get donors by blood type
+app.get(
+  "/api/donors/blood-type/:bloodType",
+  validate({
+    params: { bloodType: rules.oneOf(BLOOD_TYPES, required) },
+    query: { eligible: rules.boolean() },
+  }),
+  async (req, res) => {
+    try {
+      const { bloodType } = req.params;
+      const donors = await Donor.find({
+        bloodGroup: bloodType,
+        isAvailable: true,
+        ...(req.query.eligible ? eligibleDonorQuery() : {}),
+      }).select("-deferrals");
+      res.json(donors);
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching donors by blood type",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get donor eligibility (donors:read)
+app.get(
+  "/api/donors/:id/eligibility",
+  authenticateToken,
+  requirePermission("donors:read"),
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const donor = await Donor.findById(req.params.id);
+
+      if (!donor) {
+        return sendError(res, 404, "NOT_FOUND", "Donor not found");
+      }
+
+      res.json({
+        donorId: donor._id,
+        ...calculateEligibility(donor),
+        deferrals: donor.deferrals,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching donor eligibility",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Defer a donor (donors:write)
+app.post(
+  "/api/donors/:id/deferrals",
+  authenticateToken,
+  requirePermission("donors:write"),
+  validate({
+    params: idParams,
+    body: {
+      type: rules.oneOf(DEFERRAL_TYPES, required),
+      reason: rules.string(required),
+      endDate: rules.date(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { type, reason, endDate } = req.body;
+
+      if (
+        type === "temporary" &&
+        !(endDate && new Date(endDate) > new Date())
+      ) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "Temporary deferrals need an endDate in the future",
+          [{ location: "body", field: "endDate" }]
+        );
+      }
+
+      const donor = await Donor.findById(req.params.id);
+
+      if (!donor) {
+        return sendError(res, 404, "NOT_FOUND", "Donor not found");
+      }
+
+      donor.deferrals.push({
+        type,
+        reason,
+        endDate: type === "temporary" ? endDate : undefined,
+        createdBy: req.user.userId,
+      });
+      await donor.save();
+
+      res.status(201).json({
+        message: "Donor deferred",
+        donor,
+        eligibility: calculateEligibility(donor),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error deferring donor", error: error.message });
+    }
+  }
+);
+
+// Lift a donor deferral (donors:write)
+app.delete(
+  "/api/donors/:id/deferrals/:deferralId",
+  authenticateToken,
+  requirePermission("donors:write"),
+  validate({ params: { ...idParams, deferralId: rules.objectId(required) } }),
+  async (req, res) => {
+    try {
+      const donor = await Donor.findById(req.params.id);
+
+      if (!donor) {
+        return sendError(res, 404, "NOT_FOUND", "Donor not found");
+      }
+
+      const deferral = donor.deferrals.id(req.params.deferralId);
+      if (!deferral || deferral.liftedAt) {
+        return sendError(res, 404, "NOT_FOUND", "Deferral not found");
+      }
+
+      // Keep the record, just mark it lifted
+      deferral.liftedAt = new Date();
+      await donor.save();
+
+      res.json({
+        message: "Deferral lifted",
+        donor,
+        eligibility: calculateEligibility(donor),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error lifting deferral", error: error.message });
+    }
+  }
+);
+
+// Record a donation (donors:write)
+app.post(
+  "/api/donors/:id/donations",
+  authenticateToken,
+  requirePermission("donors:write"),
+  validate({
+    params: idParams,
+    body: {
+      date: rules.date(),
+      donationType: rules.oneOf(DONATION_TYPES),
+      locationType: rules.oneOf(LOCATION_TYPES, required),
+      location: rules.string(required),
+      volumeMl: rules.integer({ min: 1 }),
+      units: rules.integer({ min: 1 }),
+      screeningResult: rules.oneOf(SCREENING_RESULTS),
+      overrideEligibility: rules.boolean(),
+      facility: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const {
+        date,
+        donationType,
+        locationType,
+        location,
+        volumeMl,
+        units,
+        screeningResult,
+        overrideEligibility,
+      } = req.body;
+
+      const facility = await resolveFacility(req.body.facility);
+      if (!facility || !facility.isActive) {
+        return sendError(res, 404, "NOT_FOUND", "Facility not found");
+      }
+
+      const donor = await Donor.findById(req.params.id);
+
+      if (!donor) {
+        return sendError(res, 404, "NOT_FOUND", "Donor not found");
+      }
+
+      const eligibility = calculateEligibility(
+        donor,
+        date ? new Date(date) : new Date()
+      );
+      if (!eligibility.eligible && !overrideEligibility) {
+        return sendError(
+          res,
+          400,
+          "NOT_ELIGIBLE",
+          "Donor is not eligible to donate",
+          [],
+          { eligibility }
+        );
+      }
+
+      const { donation, bags } = await recordDonation(
+        donor,
+        {
+          date,
+          donationType,
+          locationType,
+          location,
+          volumeMl,
+          units,
+          screeningResult,
+          facility: facility._id,
+        },
+        req.user
+      );
+
+      res.status(201).json({ message: "Donation recorded", donation, bags });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error recording donation", error: error.message });
+    }
+  }
+);
+
+// Get a donor's donation history (donors:read)
+app.get(
+  "/api/donors/:id/donations",
+  authenticateToken,
+  requirePermission("donors:read"),
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const donor = await Donor.findById(req.params.id).populate(
+        "donationHistory.bags",
+        "bagId componentType status expiryDate"
+      );
+
+      if (!donor) {
+        return sendError(res, 404, "NOT_FOUND", "Donor not found");
+      }
+
+      const donations = [...donor.donationHistory].sort(
+        (a, b) => b.date - a.date
+      );
+
+      res.json({
+        donorId: donor._id,
+        lastDonationDate: donor.lastDonationDate,
+        totalDonations: donations.filter((d) => !d.reversedAt).length,
+        donations,
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching donations", error: error.message });
+    }
+  }
+);
+
+// Download a donation certificate (donors:read)
+app.get(
+  "/api/donors/:id/donations/:donationId/certificate",
+  authenticateToken,
+  requirePermission("donors:read"),
+  validate({
+    params: { ...idParams, donationId: rules.objectId(required) },
+    query: { regenerate: rules.boolean() },
+  }),
+  async (req, res) => {
+    try {
+      const donor = await Donor.findById(req.params.id);
+
+      if (!donor) {
+        return sendError(res, 404, "NOT_FOUND", "Donor not found");
+      }
+
+      await sendDonationCertificate(req, res, donor);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error creating certificate", error: error.message });
+    }
+  }
+);
+
+// Update the screening result of a donation (donors:write)
+app.put(
+  "/api/donors/:id/donations/:donationId/screening",
+  authenticateToken,
+  requirePermission("donors:write"),
+  validate({
+    params: { ...idParams, donationId: rules.objectId(required) },
+    body: { screeningResult: rules.oneOf(["passed", "failed"], required) },
+  }),
+  async (req, res) => {
+    try {
+      const { screeningResult } = req.body;
+
+      const donor = await Donor.findById(req.params.id);
+      const donation = donor && donor.donationHistory.id(req.params.donationId);
+
+      if (!donation || donation.reversedAt) {
+        return sendError(res, 404, "NOT_FOUND", "Donation not found");
+      }
+
+      if (donation.screeningResult !== "pending") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Screening already recorded as ${donation.screeningResult}`
+        );
+      }
+
+      // Release or discard the quarantined bags, including any components
+      // split from them before screening finished
+      const bagFilter = {
+        $or: [
+          { _id: { $in: donation.bags } },
+          { parentBag: { $in: donation.bags } },
+        ],
+        status: "quarantined",
+      };
+
+      if (screeningResult === "passed") {
+        const releasedBags = await BloodBag.find({
+          ...bagFilter,
+          expiryDate: { $gt: new Date() },
+        });
+        await BloodBag.updateMany(
+          { _id: { $in: releasedBags.map((bag) => bag._id) } },
+          { status: "available", updatedAt: new Date() }
+        );
+        await recordInventoryTransactions(releasedBags, 1, "donation", {
+          actor: req.user,
+          donorId: donor._id,
+          notes: "Released after screening",
+        });
+      } else {
+        await BloodBag.updateMany(bagFilter, {
+          status: "discarded",
+          notes: "Failed screening",
+          updatedAt: new Date(),
+        });
+      }
+
+      donation.screeningResult = screeningResult;
+      await donor.save();
+      await syncInventoryCounts([donor.bloodGroup]);
+
+      res.json({ message: "Screening result recorded", donation });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error recording screening result",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Reverse a donation entered by mistake (donors:write)
+app.post(
+  "/api/donors/:id/donations/:donationId/reverse",
+  authenticateToken,
+  requirePermission("donors:write"),
+  validate({
+    params: { ...idParams, donationId: rules.objectId(required) },
+    body: { reason: rules.string(required) },
+  }),
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      const donor = await Donor.findById(req.params.id);
+      const donation = donor && donor.donationHistory.id(req.params.donationId);
+
+      if (!donation) {
+        return sendError(res, 404, "NOT_FOUND", "Donation not found");
+      }
+
+      if (donation.reversedAt) {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          "Donation has already been reversed"
+        );
+      }
+
+      const bags = await BloodBag.find({
+        $or: [
+          { _id: { $in: donation.bags } },
+          { parentBag: { $in: donation.bags } },
+        ],
+      });
+
+      // Stock that has already been promised or issued cannot be taken back
+      const usedBag = bags.find((bag) =>
+        ["reserved", "issued"].includes(bag.status)
+      );
+      if (usedBag) {
+        return sendError(
+          res,
+          409,
+          "CONFLICT",
+          `Blood bag ${usedBag.bagId} from this donation is already ${usedBag.status}`
+        );
+      }
+
+      await BloodBag.updateMany(
+        {
+          _id: { $in: bags.map((bag) => bag._id) },
+          status: { $in: ["quarantined", "available"] },
+        },
+        {
+          status: "discarded",
+          notes: `Donation reversed: ${reason}`,
+          updatedAt: new Date(),
+        }
+      );
+      await recordInventoryTransactions(
+        bags.filter((bag) => bag.status === "available"),
+        -1,
+        "discard",
+        {
+          actor: req.user,
+          donorId: donor._id,
+          notes: `Donation reversed: ${reason}`,
+        }
+      );
+
+      donation.reversedAt = new Date();
+      donation.reversedBy = req.user.userId;
+      donation.reversalReason = reason;
+      donor.lastDonationDate = latestDonationDate(donor);
+      await donor.save();
+
+      await syncInventoryCounts([donor.bloodGroup]);
+      await checkLowStock();
+
+      res.json({ message: "Donation reversed", donation });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error reversing donation", error: error.message });
+    }
+  }
+);
+
+// 3a. DONATION CAMP ROUTES
+
+// Create a donation camp (camps:write)
+app.post(
+  "/api/camps",
+  authenticateToken,
+  requirePermission("camps:write"),
+  validate({
+    body: {
+      ...campFields,
+      name: rules.string(required),
+      venue: rules.string(required),
+      startsAt: rules.date(required),
+      endsAt: rules.date(required),
+      capacity: rules.integer({ required: true, min: 1 }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const {
+        name,
+        venue,
+        startsAt,
+        endsAt,
+        slotMinutes,
+        capacity,
+        slotCapacity,
+        targetBloodGroups,
+        targetBranches,
+        notes,
+      } = req.body;
+
+      if (new Date(endsAt) <= new Date(startsAt)) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "endsAt must be after startsAt",
+          [{ location: "body", field: "endsAt" }]
+        );
+      }
+
+      const facility = await resolveFacility(req.body.facility);
+      if (!facility || !facility.isActive) {
+        return sendError(res, 404, "NOT_FOUND", "Facility not found");
+      }
+
+      const camp = new DonationCamp({
+        name,
+        venue,
+        facility: facility._id,
+        startsAt,
+        endsAt,
+        slotMinutes,
+        capacity,
+        slotCapacity,
+        targetBloodGroups,
+        targetBranches,
+        notes,
+        createdBy: req.user.userId,
+      });
+
+      if (campSlots(camp).length === 0) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "The camp is shorter than one slot",
+          [{ location: "body", field: "endsAt" }]
+        );
+      }
+
+      await camp.save();
+
+      res.status(201).json({ message: "Camp created", camp });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error creating camp", error: error.message });
+    }
+  }
+);
+
+// Get donation camps (camps:read)
+app.get(
+  "/api/camps",
+  authenticateToken,
+  requirePermission("camps:read"),
+  validate({
+    query: {
+      ...pageQuery,
+      status: rules.oneOf(CAMP_STATUSES),
+      from: rules.date(),
+      to: rules.date(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      let query = {};
+      if (req.query.status) query.status = req.query.status;
+      if (req.query.from || req.query.to) {
+        query.startsAt = {};
+        if (req.query.from) query.startsAt.$gte = new Date(req.query.from);
+        if (req.query.to) query.startsAt.$lte = new Date(req.query.to);
+      }
+
+      const camps = await DonationCamp.find(query)
+        .select("-registrations")
+        .populate("facility", "name code")
+        .sort({ startsAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await DonationCamp.countDocuments(query);
+
+      res.json({
+        camps,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: camps.length,
+          totalCamps: total,
+        },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching camps", error: error.message });
+    }
+  }
+);
+
+// Get announced camps that have not started yet (no login)
+app.get("/api/camps/upcoming", validate({}), async (req, res) => {
+  try {
+    const camps = await DonationCamp.find({
+      status: "announced",
+      startsAt: { $gt: new Date() },
+    }).sort({ startsAt: 1 });
+
+    res.json(
+      camps.map((camp) => ({
+        _id: camp._id,
+        name: camp.name,
+        venue: camp.venue,
+        startsAt: camp.startsAt,
+        endsAt: camp.endsAt,
+        targetBloodGroups: camp.targetBloodGroups,
+        targetBranches: camp.targetBranches,
+        placesLeft: campPlacesLeft(camp),
+      }))
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error fetching camps", error: error.message });
+  }
+});
+
+// Get a camp with its registrations (camps:read)
+app.get(
+  "/api/camps/:id",
+  authenticateToken,
+  requirePermission("camps:read"),
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const camp = await DonationCamp.findById(req.params.id)
+        .populate("facility", "name code")
+        .populate("registrations.donor", "name rollNumber bloodGroup branch");
+
+      if (!camp) {
+        return sendError(res, 404, "NOT_FOUND", "Camp not found");
+      }
+
+      res.json({ ...camp.toObject(), slots: campSlots(camp) });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching camp", error: error.message });
+    }
+  }
+);
+
+// Get a camp's time slots and free places (no login)
+app.get(
+  "/api/camps/:id/slots",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const camp = await DonationCamp.findById(req.params.id);
+
+      if (!camp || !["announced", "completed"].includes(camp.status)) {
+        return sendError(res, 404, "NOT_FOUND", "Camp not found");
+      }
+
+      res.json({
+        campId: camp._id,
+        name: camp.name,
+        venue: camp.venue,
+        status: camp.status,
+        placesLeft: campPlacesLeft(camp),
+        slots: campSlots(camp),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching camp slots", error: error.message });
+    }
+  }
+);
+
+// Update a camp before it takes place (camps:write)
+app.put(
+  "/api/camps/:id",
+  authenticateToken,
+  requirePermission("camps:write"),
+  validate({ params: idParams, body: campFields }),
+  async (req, res) => {
+    try {
+      const camp = await DonationCamp.findById(req.params.id);
+
+      if (!camp) {
+        return sendError(res, 404, "NOT_FOUND", "Camp not found");
+      }
+
+      if (!["planned", "announced"].includes(camp.status)) {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Cannot edit a ${camp.status} camp`
+        );
+      }
+
+      const fields = [
+        "name",
+        "venue",
+        "startsAt",
+        "endsAt",
+        "slotMinutes",
+        "capacity",
+        "slotCapacity",
+        "targetBloodGroups",
+        "targetBranches",
+        "notes",
+      ];
+      for (const field of fields) {
+        if (req.body[field] !== undefined) camp[field] = req.body[field];
+      }
+
+      if (req.body.facility !== undefined) {
+        const facility = await resolveFacility(req.body.facility);
+        if (!facility || !facility.isActive) {
+          return sendError(res, 404, "NOT_FOUND", "Facility not found");
+        }
+        camp.facility = facility._id;
+      }
+
+      if (camp.endsAt <= camp.startsAt || campSlots(camp).length === 0) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "The camp must be at least one slot long",
+          [{ location: "body", field: "endsAt" }]
+        );
+      }
+
+      await camp.save();
+
+      res.json(camp);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error updating camp", error: error.message });
+    }
+  }
+);
+
+// Announce a camp: notifies users and invites the donors it is aimed at
+// (camps:write)
+app.post(
+  "/api/camps/:id/announce",
+  authenticateToken,
+  requirePermission("camps:write"),
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const camp = await DonationCamp.findById(req.params.id);
+
+      if (!camp) {
+        return sendError(res, 404, "NOT_FOUND", "Camp not found");
+      }
+
+      if (camp.status !== "planned") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Cannot announce a ${camp.status} camp`
+        );
+      }
+
+      camp.status = "announced";
+      camp.announcedAt = new Date();
+      await camp.save();
+
+      await createNotification(
+        "donation_needed",
+        `Blood Donation Camp: ${camp.name}`,
+        `A blood donation camp is being held at ${camp.venue} on ${camp.startsAt.toDateString()}. Book a slot to donate.`,
+        camp._id,
+        { camp }
+      );
+
+      // Send invitations in the background
+      inviteDonorsToCamp(camp);
+
+      res.json({ message: "Camp announced", camp });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error announcing camp", error: error.message });
+    }
+  }
+);
+
+// Book a donor into a camp time slot (camps:write)
+// Donors book themselves through /api/me/camps/:id/registration
+app.post(
+  "/api/camps/:id/registrations",
+  authenticateToken,
+  requirePermission("camps:write"),
+  validate({
+    params: idParams,
+    body: {
+      rollNumber: rules.string(required),
+      slotStart: rules.date(required),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { rollNumber, slotStart } = req.body;
+
+      const camp = await DonationCamp.findById(req.params.id);
+
+      if (!camp || camp.status !== "announced") {
+        return sendError(res, 404, "NOT_FOUND", "Camp not found");
+      }
+
+      const donor = await Donor.findOne({ rollNumber });
+      if (!donor) {
+        return sendError(res, 404, "NOT_FOUND", "Donor not found");
+      }
+
+      const result = await bookCampSlot(camp, donor, slotStart);
+      if (result.status) {
+        return sendError(
+          res,
+          result.status,
+          result.code,
+          result.message,
+          result.details,
+          result.eligibility ? { eligibility: result.eligibility } : {}
+        );
+      }
+
+      res.status(201).json({ message: "Registered for camp", ...result });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error registering for camp", error: error.message });
+    }
+  }
+);
+
+// Cancel a camp registration (camps:write)
+app.post(
+  "/api/camps/:id/registrations/:registrationId/cancel",
+  authenticateToken,
+  requirePermission("camps:write"),
+  validate({
+    params: { ...idParams, registrationId: rules.objectId(required) },
+  }),
+  async (req, res) => {
+    try {
+      const camp = await DonationCamp.findById(req.params.id);
+      const registration =
+        camp && camp.registrations.id(req.params.registrationId);
+
+      if (!registration) {
+        return sendError(res, 404, "NOT_FOUND", "Registration not found");
+      }
+
+      if (registration.status !== "registered") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Cannot cancel a registration with status ${registration.status}`
+        );
+      }
+
+      registration.status = "cancelled";
+      await camp.save();
+
+      res.json({ message: "Registration cancelled", registration });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error cancelling registration",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Check a donor in at the camp (camps:write)
+// Donors without a registration are added as walk-ins while places are left
+app.post(
+  "/api/camps/:id/check-in",
+  authenticateToken,
+  requirePermission("camps:write"),
+  validate({ params: idParams, body: donorReference }),
+  async (req, res) => {
+    try {
+      const camp = await DonationCamp.findById(req.params.id);
+
+      if (!camp || camp.status !== "announced") {
+        return sendError(
+          res,
+          404,
+          "NOT_FOUND",
+          "No announced camp with this ID"
+        );
+      }
+
+      const donor = await findDonorByReference(req.body);
+      if (!donor) {
+        return sendError(res, 404, "NOT_FOUND", "Donor not found");
+      }
+
+      let registration = camp.registrations.find(
+        (r) => isActiveRegistration(r) && String(r.donor) === String(donor._id)
+      );
+
+      if (registration && registration.status !== "registered") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Donor is already ${registration.status.replace("_", " ")}`
+        );
+      }
+
+      const checkIn = {
+        status: "checked_in",
+        checkedInAt: new Date(),
+        checkedInBy: req.user.userId,
+      };
+
+      if (registration) {
+        const updated = await DonationCamp.findOneAndUpdate(
+          {
+            _id: camp._id,
+            registrations: {
+              $elemMatch: { _id: registration._id, status: "registered" },
+            },
+          },
+          {
+            $set: {
+              "registrations.$.status": checkIn.status,
+              "registrations.$.checkedInAt": checkIn.checkedInAt,
+              "registrations.$.checkedInBy": checkIn.checkedInBy,
+            },
+          },
+          { new: true }
+        );
+        if (!updated) {
+          return sendError(
+            res,
+            409,
+            "CONFLICT",
+            "The registration changed while checking in; try again"
+          );
+        }
+        registration = updated.registrations.id(registration._id);
+      } else {
+        const problem = campEntryProblem(camp, donor);
+        if (problem) {
+          return sendError(res, 400, "NOT_ELIGIBLE", problem);
+        }
+        if (campPlacesLeft(camp) <= 0) {
+          return sendError(res, 409, "CAMP_FULL", "The camp is full");
+        }
+
+        // Walk-ins take a place too, so they are added under the same check
+        const updated = await DonationCamp.findOneAndUpdate(
+          campPlaceFilter(camp, donor._id),
+          {
+            $push: {
+              registrations: { donor: donor._id, walkIn: true, ...checkIn },
+            },
+          },
+          { new: true }
+        );
+        if (!updated) {
+          return sendError(res, 409, "CAMP_FULL", "The camp is full");
+        }
+        registration = updated.registrations.find(
+          (r) =>
+            isActiveRegistration(r) && String(r.donor) === String(donor._id)
+        );
+      }
+
+      res.json({
+        message: "Donor checked in",
+        registration,
+        donor: {
+          _id: donor._id,
+          name: donor.name,
+          rollNumber: donor.rollNumber,
+          bloodGroup: donor.bloodGroup,
+        },
+        // For the screening desk
+        eligibility: calculateEligibility(donor),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error checking donor in", error: error.message });
+    }
+  }
+);
+
+// Enter the donations made at a camp in one go (camps:write)
+// donations: [{ rollNumber or donorId, donationType, volumeMl, units,
+// screeningResult, overrideEligibility }]; each entry succeeds or fails alone
+app.post(
+  "/api/camps/:id/donations",
+  authenticateToken,
+  requirePermission("camps:write"),
+  validate({
+    params: idParams,
+    body: {
+      donations: rules.array(
+        rules.object({
+          ...donorReference,
+          date: rules.date(),
+          donationType: rules.oneOf(DONATION_TYPES),
+          volumeMl: rules.integer({ min: 1 }),
+          units: rules.integer({ min: 1 }),
+          screeningResult: rules.oneOf(SCREENING_RESULTS),
+          overrideEligibility: rules.boolean(),
+        }),
+        { required: true, minItems: 1 }
+      ),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { donations } = req.body;
+
+      const camp = await DonationCamp.findById(req.params.id);
+
+      if (!camp || !["announced", "completed"].includes(camp.status)) {
+        return sendError(
+          res,
+          404,
+          "NOT_FOUND",
+          "No announced or completed camp with this ID"
+        );
+      }
+
+      const results = [];
+      for (const entry of donations) {
+        const reference = entry.rollNumber || entry.donorId;
+        try {
+          const donor = await findDonorByReference(entry);
+          if (!donor) throw new Error("Donor not found");
+
+          const donatedAt = entry.date ? new Date(entry.date) : camp.startsAt;
+          const eligibility = calculateEligibility(donor, donatedAt);
+          if (!eligibility.eligible && !entry.overrideEligibility) {
+            throw new Error(
+              `Donor is not eligible: ${eligibility.reasons.join("; ")}`
+            );
+          }
+
+          const claim = await claimCampDonation(camp, donor._id);
+          let recordedDonation;
+          try {
+            recordedDonation = await recordDonation(
+              donor,
+              {
+                date: donatedAt,
+                donationType: entry.donationType,
+                locationType: "camp",
+                location: `${camp.name}, ${camp.venue}`,
+                camp: camp._id,
+                volumeMl: entry.volumeMl,
+                units: entry.units,
+                screeningResult: entry.screeningResult,
+                facility: camp.facility,
+              },
+              req.user
+            );
+          } catch (error) {
+            await claim.undo();
+            throw error;
+          }
+          const { donation, bags } = recordedDonation;
+
+          await DonationCamp.updateOne(
+            { _id: camp._id, "registrations._id": claim.registrationId },
+            { $set: { "registrations.$.donation": donation._id } }
+          );
+
+          results.push({
+            donor: reference,
+            status: "recorded",
+            donationId: donation._id,
+            bagIds: bags.map((bag) => bag.bagId),
+          });
+        } catch (error) {
+          results.push({
+            donor: reference,
+            status: "failed",
+            message: error.message,
+          });
+        }
+      }
+
+      const recorded = results.filter((r) => r.status === "recorded").length;
+      const message = `${recorded} of ${results.length} donation(s) recorded`;
+      const counts = { recorded, failed: results.length - recorded, results };
+      if (recorded === 0) {
+        return sendError(res, 400, "NOTHING_RECORDED", message, [], counts);
+      }
+
+      res.status(201).json({ message, ...counts });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error recording donations", error: error.message });
+    }
+  }
+);
+
+// Close a camp; donors who registered but never checked in become no-shows
+// (camps:write)
+app.post(
+  "/api/camps/:id/complete",
+  authenticateToken,
+  requirePermission("camps:write"),
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const camp = await DonationCamp.findById(req.params.id);
+
+      if (!camp) {
+        return sendError(res, 404, "NOT_FOUND", "Camp not found");
+      }
+
+      if (camp.status !== "announced") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Cannot complete a ${camp.status} camp`
+        );
+      }
+
+      for (const registration of camp.registrations) {
+        if (registration.status === "registered") {
+          registration.status = "no_show";
+        }
+      }
+      camp.status = "completed";
+      camp.completedAt = new Date();
+      await camp.save();
+
+      res.json({
+        message: "Camp completed",
+        summary: await summarizeCamp(camp),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error completing camp", error: error.message });
+    }
+  }
+);
+
+// Cancel a camp (camps:write)
+app.post(
+  "/api/camps/:id/cancel",
+  authenticateToken,
+  requirePermission("camps:write"),
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const camp = await DonationCamp.findById(req.params.id);
+
+      if (!camp) {
+        return sendError(res, 404, "NOT_FOUND", "Camp not found");
+      }
+
+      if (!["planned", "announced"].includes(camp.status)) {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Cannot cancel a ${camp.status} camp`
+        );
+      }
+
+      camp.status = "cancelled";
+      camp.cancelledAt = new Date();
+      await camp.save();
+
+      res.json({ message: "Camp cancelled", camp });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error cancelling camp", error: error.message });
+    }
+  }
+);
+
+// Get a camp's results: units per blood group, outcomes and no-shows
+// (camps:read)
+app.get(
+  "/api/camps/:id/summary",
+  authenticateToken,
+  requirePermission("camps:read"),
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const camp = await DonationCamp.findById(req.params.id).populate(
+        "registrations.donor",
+        "name rollNumber bloodGroup contactInfo"
+      );
+
+      if (!camp) {
+        return sendError(res, 404, "NOT_FOUND", "Camp not found");
+      }
+
+      res.json(await summarizeCamp(camp));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching camp summary",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// 3b. DONOR SELF-SERVICE ROUTES (donor accounts)
+
+// Get my account, donor profile and eligibility
+app.get(
+  "/api/me",
+  authenticateToken,
+  requireDonor,
+  validate({}),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.userId).select(
+        "email role phone createdAt"
+      );
+
+      res.json({
+        account: user,
+        donor: req.donor.toObject({ virtuals: true }),
+        eligibility: calculateEligibility(req.donor),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching profile", error: error.message });
+    }
+  }
+);
+
+// Update my donor profile
+// Blood group and roll number are set by the blood bank and cannot be changed
+app.put(
+  "/api/me",
+  authenticateToken,
+  requireDonor,
+  validate({
+    body: {
+      name: rules.string(),
+      branch: rules.string(),
+      contactInfo: rules.string(),
+      isAvailable: rules.boolean(),
+      phone: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { name, branch, contactInfo, isAvailable, phone } = req.body;
+
+      const donor = req.donor;
+      if (name !== undefined) donor.name = name;
+      if (branch !== undefined) donor.branch = branch;
+      if (contactInfo !== undefined) donor.contactInfo = contactInfo;
+      if (isAvailable !== undefined) donor.isAvailable = isAvailable;
+      await donor.save();
+
+      if (phone !== undefined) {
+        await User.updateOne({ _id: req.user.userId }, { phone });
+      }
+
+      res.json({ message: "Profile updated", donor });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error updating profile", error: error.message });
+    }
+  }
+);
+
+// Get my donation history
+app.get(
+  "/api/me/donations",
+  authenticateToken,
+  requireDonor,
+  validate({}),
+  async (req, res) => {
+    try {
+      await req.donor.populate("donationHistory.camp", "name venue startsAt");
+
+      const donations = req.donor.donationHistory
+        .filter((donation) => !donation.reversedAt)
+        .sort((a, b) => b.date - a.date)
+        .map((donation) => ({
+          _id: donation._id,
+          date: donation.date,
+          donationType: donation.donationType,
+          locationType: donation.locationType,
+          location: donation.location,
+          camp: donation.camp,
+          units: donation.units,
+          volumeMl: donation.volumeMl,
+          screeningResult: donation.screeningResult,
+        }));
+
+      res.json({
+        totalDonations: donations.length,
+        totalUnits: donations.reduce((sum, d) => sum + (d.units || 0), 0),
+        lastDonationDate: req.donor.lastDonationDate,
+        donations,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching donation history",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Download the certificate for one of my donations
+app.get(
+  "/api/me/donations/:donationId/certificate",
+  authenticateToken,
+  requireDonor,
+  validate({ params: { donationId: rules.objectId(required) } }),
+  async (req, res) => {
+    try {
+      await sendDonationCertificate(req, res, req.donor);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error creating certificate", error: error.message });
+    }
+  }
+);
+
+// Get my eligibility to donate
+app.get(
+  "/api/me/eligibility",
+  authenticateToken,
+  requireDonor,
+  validate({ query: { date: rules.date() } }),
+  async (req, res) => {
+    try {
+      const asOf = req.query.date ? new Date(req.query.date) : new Date();
+
+      res.json({
+        asOf,
+        ...calculateEligibility(req.donor, asOf),
+        deferrals: req.donor.deferrals.filter((d) => isActiveDeferral(d, asOf)),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error checking eligibility", error: error.message });
+    }
+  }
+);
+
+// Get my camp bookings and the upcoming camps I can still book
+app.get(
+  "/api/me/camps",
+  authenticateToken,
+  requireDonor,
+  validate({}),
+  async (req, res) => {
+    try {
+      const camps = await DonationCamp.find({
+        status: "announced",
+        endsAt: { $gt: new Date() },
+      }).sort({ startsAt: 1 });
+
+      const bookings = [];
+      const openCamps = [];
+      for (const camp of camps) {
+        const registration = camp.registrations.find(
+          (r) =>
+            isActiveRegistration(r) && String(r.donor) === String(req.donor._id)
+        );
+        const details = {
+          _id: camp._id,
+          name: camp.name,
+          venue: camp.venue,
+          startsAt: camp.startsAt,
+          endsAt: camp.endsAt,
+        };
+
+        if (registration) {
+          bookings.push({
+            camp: details,
+            registrationId: registration._id,
+            slotStart: registration.slotStart,
+            status: registration.status,
+          });
+        } else if (
+          camp.startsAt > new Date() &&
+          !campEntryProblem(camp, req.donor)
+        ) {
+          openCamps.push({
+            camp: details,
+            slots: campSlots(camp).filter((slot) => slot.available > 0),
+          });
+        }
+      }
+
+      res.json({ bookings, openCamps });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching camps", error: error.message });
+    }
+  }
+);
+
+// Book a camp slot for myself
+app.post(
+  "/api/me/camps/:id/registration",
+  authenticateToken,
+  requireDonor,
+  validate({ params: idParams, body: { slotStart: rules.date(required) } }),
+  async (req, res) => {
+    try {
+      const camp = await DonationCamp.findById(req.params.id);
+
+      if (!camp || camp.status !== "announced") {
+        return sendError(res, 404, "NOT_FOUND", "Camp not found");
+      }
+
+      const result = await bookCampSlot(camp, req.donor, req.body.slotStart);
+      if (result.status) {
+        return sendError(
+          res,
+          result.status,
+          result.code,
+          result.message,
+          result.details,
+          result.eligibility ? { eligibility: result.eligibility } : {}
+        );
+      }
+
+      res.status(201).json({ message: "Registered for camp", ...result });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error registering for camp", error: error.message });
+    }
+  }
+);
+
+// Cancel my camp booking
+app.delete(
+  "/api/me/camps/:id/registration",
+  authenticateToken,
+  requireDonor,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const camp = await DonationCamp.findById(req.params.id);
+      const registration =
+        camp &&
+        camp.registrations.find(
+          (r) =>
+            r.status === "registered" &&
+            String(r.donor) === String(req.donor._id)
+        );
+
+      if (!registration) {
+        return sendError(res, 404, "NOT_FOUND", "Booking not found");
+      }
+
+      registration.status = "cancelled";
+      await camp.save();
+
+      res.json({ message: "Booking cancelled" });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error cancelling booking", error: error.message });
+    }
+  }
+);
+
+// Delete my account and donor profile (password required)
+// Bags and ledger entries keep the donor ID for traceability, but nothing
+// that identifies the donor is kept
+app.delete(
+  "/api/me",
+  authenticateToken,
+  requireDonor,
+  validate({ body: { password: rules.string(required) } }),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.userId);
+
+      if (!(await bcrypt.compare(req.body.password, user.password))) {
+        return sendError(
+          res,
+          401,
+          "INVALID_CREDENTIALS",
+          "Password is incorrect",
+          [{ location: "body", field: "password" }]
+        );
+      }
+
+      const donor = req.donor;
+      const { email, phone } = parseContactInfo(donor.contactInfo);
+      const recipients = [user.email, user.phone, email, phone].filter(Boolean);
+
+      await Promise.all([
+        DonationCamp.updateMany(
+          { "registrations.donor": donor._id },
+          { $pull: { registrations: { donor: donor._id } } }
+        ),
+        CalloutCampaign.updateMany(
+          { "contacts.donor": donor._id },
+          { $pull: { contacts: { donor: donor._id } } }
+        ),
+        Notification.updateMany(
+          { readBy: user._id },
+          { $pull: { readBy: user._id } }
+        ),
+        NotificationDelivery.deleteMany({ recipient: { $in: recipients } }),
+      ]);
+
+      const facility = await getDefaultFacility();
+      await BloodInventory.updateOne(
+        {
+          facility: facility._id,
+          bloodType: donor.bloodGroup,
+          donorCount: { $gt: 0 },
+        },
+        { $inc: { donorCount: -1 } }
+      );
+
+      await Donor.deleteOne({ _id: donor._id });
+      await AuthSession.deleteMany({ user: user._id });
+      await User.deleteOne({ _id: user._id });
+
+      res.json({ message: "Account and donor profile deleted" });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error deleting account", error: error.message });
+    }
+  }
+);
+
+// 4. BLOOD REQUEST ROUTES
+
+// Submit blood request
+app.post(
+  "/api/requests",
+  upload.array("hospitalReports", MAX_REPORT_FILES),
+  validate({
+    body: {
+      patientName: rules.string(required),
+      patientAge: rules.integer({ required: true, min: 0, max: 150 }),
+      bloodTypeNeeded: rules.oneOf(BLOOD_TYPES, required),
+      componentNeeded: rules.oneOf(COMPONENT_TYPES),
+      gender: rules.oneOf(GENDERS, required),
+      unitsRequired: rules.integer({ required: true, min: 1 }),
+      hospitalName: rules.string(required),
+      medicalReason: rules.string(required),
+      collegeRollNumber: rules.string(required),
+      collegeEmail: rules.email(required),
+      contactNumber: rules.string(required),
+      isEmergency: rules.boolean(),
+      documentTypes: rules.array(rules.oneOf(DOCUMENT_TYPES)),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const {
+        patientName,
+        patientAge,
+        bloodTypeNeeded,
+        componentNeeded,
+        gender,
+        unitsRequired,
+        hospitalName,
+        medicalReason,
+        collegeRollNumber,
+        collegeEmail,
+        contactNumber,
+        isEmergency,
+        documentTypes,
+      } = req.body;
+
+      const limit = await checkSubmissionLimits(req.body, req.ip);
+      if (limit) {
+        res.set(
+          "Retry-After",
+          String(Math.ceil((limit.retryAt - Date.now()) / 1000))
+        );
+        return sendError(
+          res,
+          429,
+          "RATE_LIMITED",
+          limit.by === "ip"
+            ? "Too many requests from this network; please try again later"
+            : "Too many requests from this requester; please try again later",
+          [],
+          { retryAt: limit.retryAt }
+        );
+      }
+
+      const files = req.files || [];
+      const rejection = await checkReportFiles(files, documentTypes);
+      if (rejection) {
+        return sendFileRejection(res, rejection);
+      }
+
+      const bloodRequest = new BloodRequest({
+        patientName,
+        patientAge: parseInt(patientAge),
+        bloodTypeNeeded,
+        componentNeeded,
+        gender,
+        unitsRequired: parseInt(unitsRequired),
+        hospitalName,
+        medicalReason,
+        collegeRollNumber,
+        collegeEmail,
+        contactNumber,
+        isEmergency: isEmergency === true,
+        submittedFromIp: req.ip,
+        normalizedRollNumber: normalizeRequester(collegeRollNumber),
+        normalizedEmail: normalizeRequester(collegeEmail),
+      });
+
+      // Copies are kept for review rather than refused, in case they are not
+      const original = await findDuplicateRequest(bloodRequest);
+      if (original) bloodRequest.flag = duplicateFlag(original);
+
+      bloodRequest.reports = await storeReports(
+        files,
+        documentTypes,
+        "submission"
+      );
+      await bloodRequest.save();
+
+      // A flagged emergency was already announced with the original; it is
+      // announced again only if the flag is dismissed
+      if (bloodRequest.isEmergency && !original) {
+        await announceEmergencyRequest(bloodRequest);
+      }
+
+      // The tracking link is the requester's only way back to the request
+      const trackingUrl = trackingUrlFor(bloodRequest);
+      await queueDelivery(
+        "email",
+        bloodRequest.collegeEmail,
+        "request_received",
+        { request: bloodRequest, link: trackingUrl },
+        bloodRequest._id
+      );
+
+      res.status(201).json({
+        message: "Blood request submitted successfully",
+        request: bloodRequest,
+        trackingToken: trackingTokenFor(bloodRequest),
+        trackingUrl,
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error submitting request", error: error.message });
+    }
+  }
+);
+
+// Track a request with the link given on submission (no login)
+app.get(
+  "/api/requests/track/:token",
+  validate({ params: trackingParams }),
+  async (req, res) => {
+    try {
+      const { requestId, expired } = verifyTrackingToken(req.params.token);
+      if (expired) {
+        return sendError(
+          res,
+          400,
+          "INVALID_TOKEN",
+          "This tracking link has expired; use the link in your latest email"
+        );
+      }
+      const request = requestId && (await BloodRequest.findById(requestId));
+
+      if (!request) {
+        return sendError(res, 404, "NOT_FOUND", "Request not found");
+      }
+
+      res.json(trackingView(request));
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching request", error: error.message });
+    }
+  }
+);
+
+// Cancel my own request while it is still pending (no login)
+app.post(
+  "/api/requests/track/:token/cancel",
+  validate({ params: trackingParams, body: { reason: rules.string() } }),
+  async (req, res) => {
+    try {
+      const { requestId, expired } = verifyTrackingToken(req.params.token);
+      if (expired) {
+        return sendError(
+          res,
+          400,
+          "INVALID_TOKEN",
+          "This tracking link has expired; use the link in your latest email"
+        );
+      }
+      const request = requestId && (await BloodRequest.findById(requestId));
+
+      if (!request) {
+        return sendError(res, 404, "NOT_FOUND", "Request not found");
+      }
+
+      if (request.status !== "pending") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Only pending requests can be cancelled; this one is ${request.status}`
+        );
+      }
+
+      const reason = req.body.reason;
+      recordStatusChange(
+        request,
+        "cancelled",
+        { email: request.collegeEmail },
+        `Cancelled by requester${reason ? `: ${reason}` : ""}`,
+        "Cancelled at your request"
+      );
+      await request.save();
+
+      await queueDelivery(
+        "email",
+        request.collegeEmail,
+        "request_status",
+        { request, link: trackingUrlFor(request) },
+        request._id
+      );
+
+      res.json({
+        message: "Request cancelled",
+        request: trackingView(request),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error cancelling request", error: error.message });
+    }
+  }
+);
+
+// Attach more hospital reports to my request (no login)
+app.post(
+  "/api/requests/track/:token/reports",
+  upload.array("hospitalReports", MAX_REPORT_FILES),
+  validate({
+    params: trackingParams,
+    body: { documentTypes: rules.array(rules.oneOf(DOCUMENT_TYPES)) },
+  }),
+  async (req, res) => {
+    try {
+      const { requestId, expired } = verifyTrackingToken(req.params.token);
+      if (expired) {
+        return sendError(
+          res,
+          400,
+          "INVALID_TOKEN",
+          "This tracking link has expired; use the link in your latest email"
+        );
+      }
+      const request = requestId && (await BloodRequest.findById(requestId));
+
+      if (!request) {
+        return sendError(res, 404, "NOT_FOUND", "Request not found");
+      }
+
+      if (!["pending", "approved"].includes(request.status)) {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Reports cannot be added to a ${request.status} request`
+        );
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "Attach at least one file as hospitalReports",
+          [{ location: "body", field: "hospitalReports" }]
+        );
+      }
+
+      const rejection = await checkReportFiles(
+        req.files,
+        req.body.documentTypes
+      );
+      if (rejection) {
+        return sendFileRejection(res, rejection);
+      }
+
+      request.reports.push(
+        ...(await storeReports(
+          req.files,
+          req.body.documentTypes,
+          "tracking_link"
+        ))
+      );
+      request.updatedAt = new Date();
+      await request.save();
+
+      res.status(201).json({
+        message: `${req.files.length} report(s) added`,
+        request: trackingView(request),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error adding reports", error: error.message });
+    }
+  }
+);
+
+// Download one of my request's reports (no login)
+app.get(
+  "/api/requests/track/:token/reports/:fileId",
+  validate({
+    params: { ...trackingParams, fileId: rules.objectId(required) },
+  }),
+  async (req, res) => {
+    try {
+      const { requestId, expired } = verifyTrackingToken(req.params.token);
+      if (expired) {
+        return sendError(
+          res,
+          400,
+          "INVALID_TOKEN",
+          "This tracking link has expired; use the link in your latest email"
+        );
+      }
+      const request = requestId && (await BloodRequest.findById(requestId));
+
+      if (!request) {
+        return sendError(res, 404, "NOT_FOUND", "Request not found");
+      }
+
+      const report = request.reports.find(
+        (r) => String(r.fileId) === req.params.fileId
+      );
+      if (!report) {
+        logFileAccess(req.params.fileId, request, req, "tracking_link", false);
+        return sendError(res, 404, "NOT_FOUND", "File not found");
+      }
+
+      logFileAccess(report.fileId, request, req, "tracking_link", true);
+      await streamReport(res, report);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching file", error: error.message });
+    }
+  }
+);
+
+// Get all blood requests (requests:read)
+app.get(
+  "/api/requests",
+  authenticateToken,
+  requirePermission("requests:read"),
+  validate({
+    query: {
+      ...pageQuery,
+      status: rules.oneOf(REQUEST_STATUSES),
+      flag: rules.oneOf(REQUEST_FLAG_STATUSES),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+      const status = req.query.status;
+
+      let query = {};
+      if (status && status !== "all") {
+        query.status = status;
+      }
+      if (req.query.flag) {
+        query["flag.status"] = req.query.flag;
+      }
+
+      const requests = await BloodRequest.find(query)
+        .sort({ requestedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await BloodRequest.countDocuments(query);
+
+      res.json({
+        requests,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: requests.length,
+          totalRequests: total,
+        },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching requests", error: error.message });
+    }
+  }
+);
+
+// Get flagged requests waiting for review, oldest first (requests:read)
+app.get(
+  "/api/requests/review-queue",
+  authenticateToken,
+  requirePermission("requests:read"),
+  validate({ query: pageQuery }),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const query = { "flag.status": "open" };
+
+      const requests = await BloodRequest.find(query)
+        .populate(
+          "flag.duplicateOf",
+          "patientName bloodTypeNeeded hospitalName unitsRequired isEmergency status collegeRollNumber collegeEmail requestedAt"
+        )
+        .sort({ requestedAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      const total = await BloodRequest.countDocuments(query);
+
+      res.json({
+        requests,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: requests.length,
+          totalRequests: total,
+        },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching review queue", error: error.message });
+    }
+  }
+);
+
+// Export blood requests as CSV or Excel (requests:read)
+// from and to limit requestedAt
+app.get(
+  "/api/requests/export",
+  authenticateToken,
+  requirePermission("requests:read"),
+  validate({
+    query: {
+      format: rules.oneOf(EXPORT_FORMATS),
+      status: rules.oneOf(REQUEST_STATUSES),
+      bloodType: rules.oneOf(BLOOD_TYPES),
+      isEmergency: rules.boolean(),
+      hospitalName: rules.string(),
+      from: rules.date(),
+      to: rules.date(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const {
+        format = "csv",
+        status,
+        bloodType,
+        isEmergency,
+        hospitalName,
+      } = req.query;
+      const from = req.query.from && new Date(req.query.from);
+      const to = req.query.to && new Date(req.query.to);
+
+      if (from && to && from > to) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "from must be before to",
+          [{ location: "query", field: "from" }]
+        );
+      }
+
+      const query = {};
+      if (status) query.status = status;
+      if (bloodType) query.bloodTypeNeeded = bloodType;
+      if (isEmergency !== undefined) query.isEmergency = isEmergency;
+      if (hospitalName) query.hospitalName = hospitalName;
+      if (from || to) {
+        query.requestedAt = {
+          ...(from && { $gte: from }),
+          ...(to && { $lte: to }),
+        };
+      }
+
+      const cursor = BloodRequest.find(query)
+        .select("-statusHistory -reservation")
+        .sort({ requestedAt: -1 })
+        .lean()
+        .cursor();
+
+      const table = await startTableExport(
+        res,
+        format,
+        "requests",
+        REQUEST_EXPORT_COLUMNS
+      );
+      await exportRows(res, table, cursor, (request) => ({
+        ...request,
+        id: String(request._id),
+        flag: request.flag && request.flag.status,
+        reports: request.reports.length,
+      }));
+    } catch (error) {
+      sendExportError(res, "Error exporting requests", error);
+    }
+  }
+);
+
+// Update request status (requests:review)
+app.put(
+  "/api/requests/:id/status",
+  authenticateToken,
+  requirePermission("requests:review"),
+  validate({
+    params: idParams,
+    body: {
+      status: rules.oneOf(REQUEST_STATUSES, required),
+      adminNotes: rules.string(),
+      requesterNotes: rules.string(),
+      bagIds: rules.array(rules.string(required)),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status, adminNotes, requesterNotes, bagIds } = req.body;
+
+      const request = await BloodRequest.findById(id);
+
+      if (!request) {
+        return sendError(res, 404, "NOT_FOUND", "Request not found");
+      }
+
+      const allowedStatuses = REQUEST_STATUS_TRANSITIONS[request.status];
+      if (!allowedStatuses.includes(status)) {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Cannot change request status from ${request.status} to ${status}`,
+          [],
+          { allowedStatuses }
+        );
+      }
+
+      // A suspected copy gets no stock until the flag is resolved
+      if (
+        ["approved", "fulfilled"].includes(status) &&
+        request.flag &&
+        request.flag.status === "open"
+      ) {
+        return sendError(
+          res,
+          409,
+          "REQUEST_FLAGGED",
+          "Request is flagged as a possible duplicate; merge it or dismiss the flag first",
+          [],
+          { flag: request.flag }
+        );
+      }
+
+      // Approval reserves the allocation the admin confirms, or the
+      // suggested one when no bagIds are sent
+      if (status === "approved") {
+        const suggestion = await suggestAllocation(request);
+
+        if (bagIds === undefined && suggestion.shortfall > 0) {
+          return sendError(
+            res,
+            409,
+            "INSUFFICIENT_STOCK",
+            "Not enough compatible stock to reserve for this request",
+            [],
+            { suggestion }
+          );
+        }
+
+        const { error, bags } = await validateAllocation(
+          request,
+          bagIds !== undefined
+            ? bagIds
+            : suggestion.allocation.flatMap((a) => a.bagIds)
+        );
+        if (error) {
+          return sendError(res, 400, "VALIDATION_ERROR", error, [
+            { location: "body", field: "bagIds" },
+          ]);
+        }
+
+        if (!(await reserveBags(request, bags, req.user))) {
+          return sendError(
+            res,
+            409,
+            "CONFLICT",
+            "Some bags were taken elsewhere, please try again"
+          );
+        }
+      }
+
+      // Fulfilment issues the reserved units, or the allocation the admin
+      // confirms when the reservation is gone or incomplete
+      if (status === "fulfilled") {
+        let allocation = bagIds;
+
+        if (allocation === undefined) {
+          const reservedBags = await BloodBag.find({
+            reservedFor: request._id,
+            status: "reserved",
+            expiryDate: { $gt: new Date() },
+          });
+
+          if (reservedBags.length !== request.unitsRequired) {
+            return sendError(
+              res,
+              400,
+              "INVALID_STATE",
+              "Request has no complete reservation; confirm an allocation by sending bagIds",
+              [],
+              { suggestion: await suggestAllocation(request) }
+            );
+          }
+          allocation = reservedBags.map((bag) => bag.bagId);
+        }
+
+        const { error, bags } = await validateAllocation(request, allocation);
+        if (error) {
+          return sendError(res, 400, "VALIDATION_ERROR", error, [
+            { location: "body", field: "bagIds" },
+          ]);
+        }
+
+        if (!(await issueBags(request, bags, req.user, adminNotes))) {
+          return sendError(
+            res,
+            409,
+            "CONFLICT",
+            "Some bags were issued elsewhere, please try again"
+          );
+        }
+
+        // Check for low stock after fulfilling request
+        await checkLowStock();
+      }
+
+      if (status === "cancelled" && hasActiveReservation(request)) {
+        await releaseReservation(request, "cancelled", req.user);
+      }
+
+      recordStatusChange(request, status, req.user, adminNotes, requesterNotes);
+      if (adminNotes !== undefined) request.adminNotes = adminNotes;
+      await request.save();
+
+      await queueDelivery(
+        "email",
+        request.collegeEmail,
+        "request_status",
+        { request, link: trackingUrlFor(request) },
+        request._id
+      );
+
+      res.json(request);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error updating request", error: error.message });
+    }
+  }
+);
+
+// Resolve a flagged request (requests:review)
+// merged closes it as a copy of the request it duplicates; dismissed keeps it
+app.put(
+  "/api/requests/:id/flag",
+  authenticateToken,
+  requirePermission("requests:review"),
+  validate({
+    params: idParams,
+    body: {
+      resolution: rules.oneOf(["merged", "dismissed"], required),
+      notes: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { resolution, notes } = req.body;
+      const request = await BloodRequest.findById(req.params.id);
+
+      if (!request) {
+        return sendError(res, 404, "NOT_FOUND", "Request not found");
+      }
+
+      if (!request.flag || request.flag.status !== "open") {
+        return sendError(
+          res,
+          409,
+          "CONFLICT",
+          "Request is not waiting for review"
+        );
+      }
+
+      if (resolution === "merged") {
+        if (!["pending", "approved"].includes(request.status)) {
+          return sendError(
+            res,
+            409,
+            "CONFLICT",
+            `Only open requests can be merged; this one is ${request.status}`
+          );
+        }
+
+        const original = await BloodRequest.findById(request.flag.duplicateOf);
+        if (!original || !["pending", "approved"].includes(original.status)) {
+          return sendError(
+            res,
+            409,
+            "CONFLICT",
+            "The original request is no longer open; dismiss the flag instead"
+          );
+        }
+
+        if (hasActiveReservation(request)) {
+          await releaseReservation(request, "cancelled", req.user);
+        }
+        recordStatusChange(
+          request,
+          "cancelled",
+          req.user,
+          notes || `Merged into request ${original._id}`,
+          "Closed because the same request is already being handled"
+        );
+
+        original.mergedRequests.addToSet(request._id);
+        await original.save();
+      }
+
+      request.flag.status = resolution;
+      request.flag.reviewedBy = req.user.userId;
+      request.flag.reviewedAt = new Date();
+      request.flag.reviewNotes = notes;
+      await request.save();
+
+      if (resolution === "merged") {
+        await queueDelivery(
+          "email",
+          request.collegeEmail,
+          "request_status",
+          { request, link: trackingUrlFor(request) },
+          request._id
+        );
+      } else if (
+        request.isEmergency &&
+        ["pending", "approved"].includes(request.status)
+      ) {
+        // Held back when the request was flagged
+        await announceEmergencyRequest(request);
+      }
+
+      res.json({
+        message:
+          resolution === "merged"
+            ? "Request merged into the original"
+            : "Flag dismissed",
+        request,
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error resolving flag", error: error.message });
+    }
+  }
+);
+
+// Suggest compatible stock to allocate to a request (requests:read)
+// ?facility= limits the suggestion to one facility's stock
+app.get(
+  "/api/requests/:id/allocation",
+  authenticateToken,
+  requirePermission("requests:read"),
+  validate({ params: idParams, query: { facility: rules.string() } }),
+  async (req, res) => {
+    try {
+      const request = await BloodRequest.findById(req.params.id);
+
+      if (!request) {
+        return sendError(res, 404, "NOT_FOUND", "Request not found");
+      }
+
+      let facility = null;
+      if (req.query.facility) {
+        facility = await resolveFacility(req.query.facility);
+        if (!facility) {
+          return sendError(res, 404, "NOT_FOUND", "Facility not found");
+        }
+      }
+
+      res.json(await suggestAllocation(request, facility && facility._id));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error suggesting allocation",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Download the issue and crossmatch slip of a fulfilled request
+// (requests:read)
+// The first download stores the slip; later ones reissue the same document
+// unless ?regenerate=true
+app.get(
+  "/api/requests/:id/issue-slip",
+  authenticateToken,
+  requirePermission("requests:read"),
+  validate({ params: idParams, query: { regenerate: rules.boolean() } }),
+  async (req, res) => {
+    try {
+      const request = await BloodRequest.findById(req.params.id);
+
+      if (!request) {
+        return sendError(res, 404, "NOT_FOUND", "Request not found");
+      }
+      if (request.status !== "fulfilled") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          "Issue slips are only available for fulfilled requests"
+        );
+      }
+
+      const bags = await BloodBag.find({ issuedTo: request._id }).sort({
+        bagId: 1,
+      });
+      const fulfilment = [...request.statusHistory]
+        .reverse()
+        .find((entry) => entry.to === "fulfilled");
+
+      const document = await issueDocument(
+        {
+          lookup: { kind: "issue_slip", request: request._id },
+          title: "Blood Issue and Crossmatch Slip",
+          filename: `issue-slip-${request._id}.pdf`,
+          user: req.user,
+          regenerate: req.query.regenerate,
+        },
+        (doc, documentNumber) =>
+          drawIssueSlip(doc, documentNumber, { request, bags, fulfilment })
+      );
+      sendDocument(res, document);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error creating issue slip", error: error.message });
+    }
+  }
+);
+
+// Get ranked donor matches for a request (requests:read)
+app.get(
+  "/api/requests/:id/matches",
+  authenticateToken,
+  requirePermission("requests:read"),
+  validate({ params: idParams, query: { limit: pageQuery.limit } }),
+  async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 20;
+      const request = await BloodRequest.findById(req.params.id);
+
+      if (!request) {
+        return sendError(res, 404, "NOT_FOUND", "Request not found");
+      }
+
+      const ranked = await rankDonorsForRequest(request);
+
+      res.json({
+        requestId: request._id,
+        bloodTypeNeeded: request.bloodTypeNeeded,
+        totalMatches: ranked.length,
+        matches: ranked.slice(0, limit),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error matching donors", error: error.message });
+    }
+  }
+);
+
+// Start a call-out campaign for a request (requests:review)
+app.post(
+  "/api/requests/:id/callouts",
+  authenticateToken,
+  requirePermission("requests:review"),
+  validate({
+    params: idParams,
+    body: {
+      waveSize: rules.integer({ min: 1 }),
+      waveIntervalMinutes: rules.integer({ min: 1 }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const waveSize = parseInt(req.body.waveSize) || 10;
+      const waveIntervalMinutes = parseInt(req.body.waveIntervalMinutes) || 30;
+
+      const request = await BloodRequest.findById(req.params.id);
+
+      if (!request) {
+        return sendError(res, 404, "NOT_FOUND", "Request not found");
+      }
+
+      if (!["pending", "approved"].includes(request.status)) {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Cannot start a call-out for a ${request.status} request`
+        );
+      }
+
+      if (
+        await CalloutCampaign.exists({ request: request._id, status: "active" })
+      ) {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          "A call-out campaign is already running for this request"
+        );
+      }
+
+      const campaign = new CalloutCampaign({
+        request: request._id,
+        unitsNeeded: request.unitsRequired,
+        waveSize,
+        waveIntervalMinutes,
+        createdBy: req.user.userId,
+      });
+
+      await sendCalloutWave(campaign, request);
+      await campaign.save();
+
+      res.status(201).json({
+        message:
+          campaign.status === "exhausted"
+            ? "No eligible donors to contact"
+            : "Call-out campaign started",
+        campaign: summarizeCampaign(campaign),
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error starting call-out campaign",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get call-out campaigns and pledges for a request (requests:read)
+app.get(
+  "/api/requests/:id/callouts",
+  authenticateToken,
+  requirePermission("requests:read"),
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const campaigns = await CalloutCampaign.find({
+        request: req.params.id,
+      })
+        .populate("contacts.donor", "name bloodGroup branch contactInfo")
+        .sort({ createdAt: -1 });
+
+      res.json(campaigns.map(summarizeCampaign));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching call-out campaigns",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Cancel a call-out campaign (requests:review)
+app.post(
+  "/api/requests/:id/callouts/:campaignId/cancel",
+  authenticateToken,
+  requirePermission("requests:review"),
+  validate({ params: { ...idParams, campaignId: rules.objectId(required) } }),
+  async (req, res) => {
+    try {
+      const campaign = await CalloutCampaign.findOne({
+        _id: req.params.campaignId,
+        request: req.params.id,
+      });
+
+      if (!campaign) {
+        return sendError(res, 404, "NOT_FOUND", "Campaign not found");
+      }
+
+      if (campaign.status !== "active") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `Campaign is already ${campaign.status}`
+        );
+      }
+
+      campaign.status = "cancelled";
+      campaign.completedAt = new Date();
+      await campaign.save();
+
+      res.json(summarizeCampaign(campaign));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error cancelling call-out campaign",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// 4a. CALL-OUT RESPONSE ROUTES (tokenized, no login)
+
+// See what a call-out is asking for
+app.get(
+  "/api/callouts/:token",
+  validate({ params: { token: rules.string(required) } }),
+  async (req, res) => {
+    try {
+      const campaign = await CalloutCampaign.findOne({
+        "contacts.tokenHash": hashToken(req.params.token),
+      }).populate("request");
+
+      if (!campaign) {
+        return sendError(res, 404, "NOT_FOUND", "Call-out not found");
+      }
+
+      const contact = campaign.contacts.find(
+        (c) => c.tokenHash === hashToken(req.params.token)
+      );
+      const { request } = campaign;
+
+      res.json({
+        bloodTypeNeeded: request.bloodTypeNeeded,
+        componentNeeded: request.componentNeeded,
+        hospitalName: request.hospitalName,
+        isEmergency: request.isEmergency,
+        unitsNeeded: campaign.unitsNeeded,
+        pledges: countPledges(campaign),
+        campaignStatus: campaign.status,
+        response: contact.response,
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching call-out", error: error.message });
+    }
+  }
+);
+
+// Accept or decline a call-out
+app.post(
+  "/api/callouts/:token/respond",
+  validate({
+    params: { token: rules.string(required) },
+    body: { response: rules.oneOf(["accept", "decline"], required) },
+  }),
+  async (req, res) => {
+    try {
+      const { response } = req.body;
+
+      const tokenHash = hashToken(req.params.token);
+      const campaign = await CalloutCampaign.findOne({
+        "contacts.tokenHash": tokenHash,
+      });
+
+      if (!campaign) {
+        return sendError(res, 404, "NOT_FOUND", "Call-out not found");
+      }
+
+      const contact = campaign.contacts.find((c) => c.tokenHash === tokenHash);
+
+      if (contact.response !== "pending") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          `You have already ${contact.response} this call-out`
+        );
+      }
+
+      if (campaign.status !== "active") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          "This call-out is no longer running, thank you"
+        );
+      }
+
+      // Updated in place rather than saved, so a wave being sent at the same
+      // time cannot make either write fail
+      const updated = await CalloutCampaign.findOneAndUpdate(
+        {
+          _id: campaign._id,
+          status: "active",
+          contacts: { $elemMatch: { tokenHash, response: "pending" } },
+        },
+        {
+          $set: {
+            "contacts.$.response":
+              response === "accept" ? "accepted" : "declined",
+            "contacts.$.respondedAt": new Date(),
+          },
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        return sendError(
+          res,
+          409,
+          "CONFLICT",
+          "This call-out changed while you were responding; try again"
+        );
+      }
+
+      if (countPledges(updated) >= updated.unitsNeeded) {
+        await CalloutCampaign.updateOne(
+          { _id: campaign._id, status: "active" },
+          { $set: { status: "completed", completedAt: new Date() } }
+        );
+      }
+
+      await Donor.updateOne(
+        { _id: contact.donor },
+        {
+          $inc: {
+            "calloutStats.responded": 1,
+            "calloutStats.accepted": response === "accept" ? 1 : 0,
+          },
+        }
+      );
+
+      res.json({
+        message:
+          response === "accept"
+            ? "Thank you! The blood bank will contact you with details."
+            : "Thank you for letting us know.",
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error recording response", error: error.message });
+    }
+  }
+);
+
+// 5. FILE MANAGEMENT ROUTES
+
+// Download a hospital report (requests:read)
+// Every download is written to the file access log
+app.get(
+  "/api/files/:id",
+  authenticateToken,
+  requirePermission("requests:read"),
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const request = await BloodRequest.findOne({
+        "reports.fileId": req.params.id,
+      });
+      const report =
+        request &&
+        request.reports.find((r) => String(r.fileId) === req.params.id);
+
+      if (!report) {
+        logFileAccess(req.params.id, null, req, "staff", false);
+        return sendError(res, 404, "NOT_FOUND", "File not found");
+      }
+
+      logFileAccess(report.fileId, request, req, "staff", true);
+      await streamReport(res, report);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching file", error: error.message });
+    }
+  }
+);
+
+// Who has opened a file (requests:read)
+app.get(
+  "/api/files/:id/access-log",
+  authenticateToken,
+  requirePermission("requests:read"),
+  validate({ params: idParams, query: pageQuery }),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      const query = { fileId: req.params.id };
+      const entries = await FileAccessLog.find(query)
+        .sort({ accessedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await FileAccessLog.countDocuments(query);
+
+      res.json({
+        entries,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: entries.length,
+          totalEntries: total,
+        },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching access log", error: error.message });
+    }
+  }
+);
+
+// 6. NOTIFICATION ROUTES
+
+// Get notifications
+// ?unread=true returns only notifications this user has not read
+app.get(
+  "/api/notifications",
+  authenticateToken,
+  validate({ query: { ...pageQuery, unread: rules.boolean() } }),
+  async (req, res) => {
+    try {
+      const { userId } = req.user;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      const preferences = await getNotificationPreferences(userId);
+      let query = inboxQuery(req.user, preferences);
+      if (req.query.unread) query.readBy = { $ne: userId };
+
+      const notifications = await Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await Notification.countDocuments(query);
+
+      res.json({
+        notifications: notifications.map((n) =>
+          formatNotificationForUser(n, userId)
+        ),
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: notifications.length,
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching notifications",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get unread notification count
+app.get(
+  "/api/notifications/unread-count",
+  authenticateToken,
+  validate({}),
+  async (req, res) => {
+    try {
+      const { userId } = req.user;
+      const preferences = await getNotificationPreferences(userId);
+
+      const unread = await Notification.countDocuments({
+        ...inboxQuery(req.user, preferences),
+        readBy: { $ne: userId },
+      });
+
+      res.json({ unread });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error counting notifications",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Real-time notification stream (Server-Sent Events)
+// EventSource cannot send headers, so the token may also come as ?token=
+app.get(
+  "/api/notifications/stream",
+  (req, res, next) => {
+    if (!req.headers["authorization"] && req.query.token) {
+      req.headers["authorization"] = `Bearer ${req.query.token}`;
+    }
+    next();
+  },
+  authenticateToken,
+  validate({ query: { token: rules.string() } }),
+  async (req, res) => {
+    try {
+      const client = {
+        res,
+        userId: String(req.user.userId),
+        role: req.user.role,
+        preferences: await getNotificationPreferences(req.user.userId),
+      };
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.flushHeaders();
+      res.write("event: connected\ndata: {}\n\n");
+
+      notificationStreamClients.add(client);
+
+      // Comment line keeps proxies from closing an idle connection
+      const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        notificationStreamClients.delete(client);
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error opening notification stream",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get notification preferences
+app.get(
+  "/api/notifications/preferences",
+  authenticateToken,
+  validate({}),
+  async (req, res) => {
+    try {
+      res.json({
+        preferences: await getNotificationPreferences(req.user.userId),
+        channels: NOTIFICATION_CHANNELS,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching notification preferences",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Update notification preferences
+// Body: { preferences: { low_stock: ["in_app", "push"], ... }, phone }
+app.put(
+  "/api/notifications/preferences",
+  authenticateToken,
+  validate({
+    body: {
+      preferences: rules.object(
+        Object.fromEntries(
+          NOTIFICATION_TYPES.map((type) => [
+            type,
+            rules.array(rules.oneOf(NOTIFICATION_CHANNELS)),
+          ])
+        )
+      ),
+      phone: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { preferences = {}, phone } = req.body;
+
+      const user = await User.findById(req.user.userId);
+
+      if (!user) {
+        return sendError(res, 404, "NOT_FOUND", "User not found");
+      }
+
+      for (const [type, channels] of Object.entries(preferences)) {
+        user.notificationPreferences[type] = [...new Set(channels)];
+      }
+      if (phone !== undefined) user.phone = phone;
+      await user.save();
+
+      // Open streams pick up the new preferences straight away
+      for (const client of notificationStreamClients) {
+        if (client.userId === String(user._id)) {
+          client.preferences = user.notificationPreferences;
+        }
+      }
+
+      res.json({
+        preferences: user.notificationPreferences,
+        phone: user.phone,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error updating notification preferences",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Mark all notifications as read
+app.put(
+  "/api/notifications/read-all",
+  authenticateToken,
+  validate({}),
+  async (req, res) => {
+    try {
+      const { userId } = req.user;
+      const preferences = await getNotificationPreferences(userId);
+
+      const result = await Notification.updateMany(
+        { ...inboxQuery(req.user, preferences), readBy: { $ne: userId } },
+        { $addToSet: { readBy: userId } }
+      );
+
+      res.json({
+        message: "All notifications marked as read",
+        updated: result.modifiedCount,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error updating notifications",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Mark notification as read (for the current user only)
+app.put(
+  "/api/notifications/:id/read",
+  authenticateToken,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const notification = await Notification.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          targetAudience: { $in: audiencesForRole(req.user.role) },
+        },
+        { $addToSet: { readBy: req.user.userId } },
+        { new: true }
+      );
+
+      if (!notification) {
+        return sendError(res, 404, "NOT_FOUND", "Notification not found");
+      }
+
+      res.json(formatNotificationForUser(notification, req.user.userId));
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error updating notification", error: error.message });
+    }
+  }
+);
+
+// Get email/SMS delivery log (notifications:read)
+app.get(
+  "/api/notifications/deliveries",
+  authenticateToken,
+  requirePermission("notifications:read"),
+  validate({
+    query: {
+      ...pageQuery,
+      status: rules.oneOf(DELIVERY_STATUSES),
+      channel: rules.oneOf(["email", "sms"]),
+      template: rules.string(),
+      relatedId: rules.objectId(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+      const { status, channel, template, relatedId } = req.query;
+
+      let query = {};
+      if (status) query.status = status;
+      if (channel) query.channel = channel;
+      if (template) query.template = template;
+      if (relatedId) query.relatedId = relatedId;
+
+      const deliveries = await NotificationDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await NotificationDelivery.countDocuments(query);
+
+      res.json({
+        deliveries: deliveries.map(deliveryView),
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: deliveries.length,
+          totalDeliveries: total,
+        },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching deliveries", error: error.message });
+    }
+  }
+);
+
+// Retry a delivery now (notifications:write)
+app.post(
+  "/api/notifications/deliveries/:id/retry",
+  authenticateToken,
+  requirePermission("notifications:write"),
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const delivery = await NotificationDelivery.findById(req.params.id);
+
+      if (!delivery) {
+        return sendError(res, 404, "NOT_FOUND", "Delivery not found");
+      }
+
+      if (delivery.status === "sent") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          "Delivery has already been sent"
+        );
+      }
+
+      if (!delivery.body) {
+        return sendError(
+          res,
+          409,
+          "CONFLICT",
+          "The message held a private link and was not kept; it has to be requested again"
+        );
+      }
+
+      res.json(deliveryView(await attemptDelivery(delivery)));
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error retrying delivery", error: error.message });
+    }
+  }
+);
+
+// 7. DASHBOARD ROUTES
+
+// Get dashboard stats (dashboard:read)
+app.get(
+  "/api/dashboard/stats",
+  authenticateToken,
+  requirePermission("dashboard:read"),
+  validate({}),
+  async (req, res) => {
+    try {
+      const [
+        totalDonors,
+        totalRequests,
+        pendingRequests,
+        emergencyRequests,
+        lowStockCount,
+      ] = await Promise.all([
+        Donor.countDocuments(),
+        BloodRequest.countDocuments(),
+        BloodRequest.countDocuments({ status: "pending" }),
+        BloodRequest.countDocuments({
+          isEmergency: true,
+          status: { $in: ["pending", "approved"] },
+        }),
+        BloodInventory.countDocuments({
+          $expr: { $lt: ["$unitsAvailable", "$lowStockThreshold"] },
+        }),
+      ]);
+
+      const [inventoryStats, componentStats] = await Promise.all([
+        BloodInventory.find()
+          .populate("facility", "name code")
+          .select("facility bloodType unitsAvailable donorCount"),
+        getComponentAvailability(),
+      ]);
+
+      res.json({
+        totalDonors,
+        totalRequests,
+        pendingRequests,
+        emergencyRequests,
+        lowStockCount,
+        inventoryStats,
+        componentStats,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching dashboard stats",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// 7a. ANALYTICS ROUTES
+// All take from, to and groupBy (day, week, month or year)
+
+// Requests and units asked for per period and blood type, with fulfilment
+// rates (dashboard:read)
+app.get(
+  "/api/analytics/requests",
+  authenticateToken,
+  requirePermission("dashboard:read"),
+  validate({
+    query: { ...analyticsQuery, bloodType: rules.oneOf(BLOOD_TYPES) },
+  }),
+  async (req, res) => {
+    try {
+      const options = analyticsOptions(req.query);
+      if (options.from > options.to) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "from must be before to",
+          [{ location: "query", field: "from" }]
+        );
+      }
+
+      const [report] = await requestDemandReport({
+        ...options,
+        bloodType: req.query.bloodType,
+      });
+
+      res.json({ ...options, ...report });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching request analytics",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Time from request to fulfilment (dashboard:read)
+app.get(
+  "/api/analytics/turnaround",
+  authenticateToken,
+  requirePermission("dashboard:read"),
+  validate({
+    query: { ...analyticsQuery, bloodType: rules.oneOf(BLOOD_TYPES) },
+  }),
+  async (req, res) => {
+    try {
+      const options = analyticsOptions(req.query);
+      if (options.from > options.to) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "from must be before to",
+          [{ location: "query", field: "from" }]
+        );
+      }
+
+      const [report] = await turnaroundReport({
+        ...options,
+        bloodType: req.query.bloodType,
+      });
+
+      res.json({
+        ...options,
+        overall: report.overall[0] || null,
+        emergency: report.emergency[0] || null,
+        series: report.series,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching turnaround analytics",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Available units per blood type at the end of each period (dashboard:read)
+app.get(
+  "/api/analytics/stock",
+  authenticateToken,
+  requirePermission("dashboard:read"),
+  validate({
+    query: {
+      ...analyticsQuery,
+      facility: rules.string(),
+      bloodType: rules.oneOf(BLOOD_TYPES),
+      componentType: rules.oneOf(COMPONENT_TYPES),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const options = analyticsOptions(req.query);
+      if (options.from > options.to) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "from must be before to",
+          [{ location: "query", field: "from" }]
+        );
+      }
+
+      const facility =
+        req.query.facility && (await resolveFacility(req.query.facility));
+      if (req.query.facility && !facility) {
+        return sendError(res, 404, "NOT_FOUND", "Facility not found");
+      }
+
+      const report = await stockLevelReport({
+        ...options,
+        facility,
+        bloodType: req.query.bloodType,
+        componentType: req.query.componentType,
+      });
+
+      res.json({ ...options, ...report });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching stock analytics",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Donations per period, broken down by branch, camp or blood group
+// (dashboard:read)
+app.get(
+  "/api/analytics/donations",
+  authenticateToken,
+  requirePermission("dashboard:read"),
+  validate({
+    query: {
+      ...analyticsQuery,
+      by: rules.oneOf(["branch", "camp", "bloodGroup"]),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const options = analyticsOptions(req.query);
+      if (options.from > options.to) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "from must be before to",
+          [{ location: "query", field: "from" }]
+        );
+      }
+
+      const by = req.query.by || "branch";
+      const [report] = await donationReport({ ...options, by });
+
+      res.json({ ...options, by, ...report });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching donation analytics",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Units lost to expiry and discards (dashboard:read)
+app.get(
+  "/api/analytics/wastage",
+  authenticateToken,
+  requirePermission("dashboard:read"),
+  validate({ query: { ...analyticsQuery, facility: rules.string() } }),
+  async (req, res) => {
+    try {
+      const options = analyticsOptions(req.query);
+      if (options.from > options.to) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "from must be before to",
+          [{ location: "query", field: "from" }]
+        );
+      }
+
+      const facility =
+        req.query.facility && (await resolveFacility(req.query.facility));
+      if (req.query.facility && !facility) {
+        return sendError(res, 404, "NOT_FOUND", "Facility not found");
+      }
+
+      const [report] = await wastageReport({ ...options, facility });
+
+      res.json({ ...options, ...report });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching wastage analytics",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Demand forecast per blood type with suggested thresholds and donation
+// drives (dashboard:read)
+app.get(
+  "/api/analytics/forecast",
+  authenticateToken,
+  requirePermission("dashboard:read"),
+  validate({
+    query: {
+      historyDays: rules.integer({ min: 14, max: 365 }),
+      horizonDays: rules.integer({ min: 1, max: 60 }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const forecast = await buildStockForecast({
+        historyDays: req.query.historyDays,
+        horizonDays: req.query.horizonDays,
+      });
+
+      res.json(forecast);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error building forecast", error: error.message });
+    }
+  }
+);
+
+// Download the monthly report as a PDF (dashboard:read)
+// Reports for finished months are stored and reissued; the current month's
+// is provisional and made afresh each time
+app.get(
+  "/api/reports/monthly/:month",
+  authenticateToken,
+  requirePermission("dashboard:read"),
+  validate({
+    params: {
+      month: rules.string({
+        ...required,
+        pattern: /^\d{4}-(0[1-9]|1[0-2])$/,
+        format: "YYYY-MM",
+      }),
+    },
+    query: { regenerate: rules.boolean() },
+  }),
+  async (req, res) => {
+    try {
+      const { month } = req.params;
+      const [year, monthIndex] = month.split("-").map(Number);
+      const from = new Date(Date.UTC(year, monthIndex - 1, 1));
+      const end = new Date(Date.UTC(year, monthIndex, 1));
+      const now = new Date();
+
+      if (from > now) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "No report for a month that has not started",
+          [{ location: "params", field: "month" }]
+        );
+      }
+
+      const complete = end <= now;
+      const document = await issueDocument(
+        {
+          lookup: { kind: "monthly_report", period: month },
+          title: `Monthly Report: ${month}`,
+          filename: `monthly-report-${month}.pdf`,
+          user: req.user,
+          regenerate: req.query.regenerate,
+          store: complete,
+          // The analytics reports include both ends of the range
+          load: () => buildMonthlyReport(from, new Date(end.getTime() - 1)),
+        },
+        (doc, documentNumber, report) =>
+          drawMonthlyReport(doc, documentNumber, { month, report, complete })
+      );
+      sendDocument(res, document);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error creating report", error: error.message });
+    }
+  }
+);
+
+// 8. USER MANAGEMENT ROUTES
+
+// Get users (users:read)
+app.get(
+  "/api/users",
+  authenticateToken,
+  requirePermission("users:read"),
+  validate({
+    query: {
+      ...pageQuery,
+      role: rules.oneOf(USER_ROLES),
+      active: rules.boolean(),
+      email: rules.string(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      let query = {};
+      if (req.query.role) query.role = req.query.role;
+      if (req.query.active !== undefined) {
+        query.isActive = req.query.active;
+      }
+      if (req.query.email) {
+        query.email = new RegExp(escapeRegExp(req.query.email), "i");
+      }
+
+      const users = await User.find(query)
+        .select("-password -notificationPreferences")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await User.countDocuments(query);
+
+      res.json({
+        users,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: users.length,
+          totalUsers: total,
+        },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching users", error: error.message });
+    }
+  }
+);
+
+// Get the roles and what each one may do
+app.get(
+  "/api/users/roles",
+  authenticateToken,
+  requirePermission("users:read"),
+  validate({}),
+  (req, res) => {
+    res.json(
+      USER_ROLES.map((role) => ({
+        role,
+        staff: STAFF_ROLES.includes(role),
+        permissions: ROLE_PERMISSIONS[role] || [],
+      }))
+    );
+  }
+);
+
+// Change a user's role (users:write)
+// Donor accounts keep their role; staff are added through invitations
+app.put(
+  "/api/users/:id/role",
+  authenticateToken,
+  requirePermission("users:write"),
+  validate({
+    params: idParams,
+    body: { role: rules.oneOf([...STAFF_ROLES, "user"], required) },
+  }),
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return sendError(res, 404, "NOT_FOUND", "User not found");
+      }
+
+      if (String(user._id) === req.user.userId) {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          "You cannot change your own role"
+        );
+      }
+
+      if (user.role === "donor") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          "Donor accounts cannot change role"
+        );
+      }
+
+      if (role !== "super_admin" && (await isLastSuperAdmin(user))) {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          "Cannot demote the last super-admin"
+        );
+      }
+
+      user.role = role;
+      await user.save();
+
+      res.json({
+        message: "Role updated",
+        user: { id: user._id, email: user.email, role: user.role },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error updating role", error: error.message });
+    }
+  }
+);
+
+// Disable or re-enable a user (users:write)
+// Disabled users are refused on their next request, whatever their token
+app.put(
+  "/api/users/:id/status",
+  authenticateToken,
+  requirePermission("users:write"),
+  validate({ params: idParams, body: { isActive: rules.boolean(required) } }),
+  async (req, res) => {
+    try {
+      const { isActive } = req.body;
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return sendError(res, 404, "NOT_FOUND", "User not found");
+      }
+
+      if (!isActive) {
+        if (String(user._id) === req.user.userId) {
+          return sendError(
+            res,
+            400,
+            "INVALID_STATE",
+            "You cannot disable your own account"
+          );
+        }
+        if (await isLastSuperAdmin(user)) {
+          return sendError(
+            res,
+            400,
+            "INVALID_STATE",
+            "Cannot disable the last super-admin"
+          );
+        }
+      }
+
+      user.isActive = isActive;
+      user.disabledAt = isActive ? undefined : new Date();
+      user.disabledBy = isActive ? undefined : req.user.userId;
+      await user.save();
+      if (!isActive) {
+        await revokeSessions({ user: user._id }, "account_disabled");
+      }
+
+      res.json({
+        message: isActive ? "User enabled" : "User disabled",
+        user: { id: user._id, email: user.email, isActive: user.isActive },
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error updating user", error: error.message });
+    }
+  }
+);
+
+// Invite someone to a staff role (users:write)
+app.post(
+  "/api/users/invitations",
   authenticateToken,
-  requireAdmin,
+  requirePermission("users:write"),
+  validate({
+    body: {
+      email: rules.email(required),
+      role: rules.oneOf(STAFF_ROLES, required),
+    },
+  }),
   async (req, res) => {
     try {
-      const { bloodType } = req.params;
-      const { unitsAvailable, donorCount } = req.body;
+      const { email, role } = req.body;
 
-      let inventory = await BloodInventory.findOne({ bloodType });
-
-      if (!inventory) {
-        inventory = new BloodInventory({ bloodType });
+      const existing = await User.findOne({ email: email.toLowerCase() });
+      if (existing && existing.role === "donor") {
+        return sendError(
+          res,
+          400,
+          "INVALID_STATE",
+          "Donor accounts cannot be made staff"
+        );
       }
 
-      if (unitsAvailable !== undefined)
-        inventory.unitsAvailable = unitsAvailable;
-      if (donorCount !== undefined) inventory.donorCount = donorCount;
-      inventory.lastUpdated = new Date();
+      // A new invitation replaces any open one for the same email
+      await StaffInvitation.updateMany(
+        { email: email.toLowerCase(), acceptedAt: null, revokedAt: null },
+        { revokedAt: new Date() }
+      );
 
-      await inventory.save();
+      const token = crypto.randomBytes(24).toString("hex");
+      const invitation = new StaffInvitation({
+        email,
+        role,
+        tokenHash: hashToken(token),
+        invitedBy: req.user.userId,
+        expiresAt: new Date(
+          Date.now() + INVITATION_EXPIRY_HOURS * 60 * 60 * 1000
+        ),
+      });
+      await invitation.save();
 
-      // Check for low stock
-      await checkLowStock();
+      const link = `${APP_BASE_URL}/api/auth/accept-invitation?token=${token}`;
+      await queueDelivery(
+        "email",
+        invitation.email,
+        "staff_invitation",
+        { role, link, expiresAt: invitation.expiresAt },
+        invitation._id
+      );
 
-      res.json(inventory);
+      res.status(201).json({
+        message: "Invitation sent",
+        invitation: {
+          _id: invitation._id,
+          email: invitation.email,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt,
+        },
+        // For passing on by hand when email is not set up
+        token,
+      });
     } catch (error) {
       res
         .status(500)
-        .json({ message: "Error updating inventory", error: error.message });
+        .json({ message: "Error creating invitation", error: error.message });
     }
   }
 );
 
-// Initialize inventory for all blood types
-app.post(
-  "/api/inventory/initialize",
+// Get staff invitations (users:read)
+app.get(
+  "/api/users/invitations",
   authenticateToken,
-  requireAdmin,
+  requirePermission("users:read"),
+  validate({ query: { open: rules.boolean() } }),
   async (req, res) => {
     try {
-      const bloodTypes = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
-
-      for (const bloodType of bloodTypes) {
-        const existing = await BloodInventory.findOne({ bloodType });
-        if (!existing) {
-          await BloodInventory.create({
-            bloodType,
-            unitsAvailable: 0,
-            donorCount: 0,
-          });
-        }
+      let query = {};
+      if (req.query.open) {
+        query = {
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        };
       }
 
-      const inventory = await BloodInventory.find().sort({ bloodType: 1 });
-      res.json({ message: "Inventory initialized", inventory });
+      const invitations = await StaffInvitation.find(query)
+        .select("-tokenHash")
+        .populate("invitedBy", "email")
+        .sort({ createdAt: -1 });
+
+      res.json(invitations);
     } catch (error) {
-      res.status(500).json({
-        message: "Error initializing inventory",
-        error: error.message,
-      });
+      res
+        .status(500)
+        .json({ message: "Error fetching invitations", error: error.message });
     }
   }
 );
 
-// 3. DONOR MANAGEMENT ROUTES
-
-// Register as Blood Ally (Donor Registration)
-app.post("/api/donors/register", async (req, res) => {
-  try {
-    const { name, branch, rollNumber, bloodGroup, contactInfo } = req.body;
-
-    // Check if roll number already exists
-    const existingDonor = await Donor.findOne({ rollNumber });
-    if (existingDonor) {
-      return res
-        .status(400)
-        .json({ message: "Donor with this roll number already exists" });
-    }
-
-    const donor = new Donor({
-      name,
-      branch,
-      rollNumber,
-      bloodGroup,
-      contactInfo,
-    });
-
-    await donor.save();
-
-    // Update donor count in inventory
-    await BloodInventory.findOneAndUpdate(
-      { bloodType: bloodGroup },
-      { $inc: { donorCount: 1 } },
-      { upsert: true }
-    );
-
-    res.status(201).json({ message: "Donor registered successfully", donor });
-  } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Error registering donor", error: error.message });
-  }
-});
-
-// Get all donors (with pagination)
-app.get("/api/donors", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const donors = await Donor.find()
-      .sort({ registeredAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Donor.countDocuments();
-
-    res.json({
-      donors,
-      pagination: {
-        current: page,
-        total: Math.ceil(total / limit),
-        count: donors.length,
-        totalDonors: total,
-      },
-    });
-  } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Error fetching donors", error: error.message });
-  }
-});
-
-// Get donors by blood type
-app.get("/api/donors/blood-type/:bloodType", async (req, res) => {
-  try {
-    const { bloodType } = req.params;
-    const donors = await Donor.find({
-      bloodGroup: bloodType,
-      isAvailable: true,
-    });
-    res.json(donors);
-  } catch (error) {
-    res.status(500).json({
-      message: "Error fetching donors by blood type",
-      error: error.message,
-    });
-  }
-});
-
-// 4. BLOOD REQUEST ROUTES
-
-// Submit blood request
-app.post(
-  "/api/requests",
-  upload.single("hospitalReports"),
+// Revoke a staff invitation (users:write)
+app.delete(
+  "/api/users/invitations/:id",
+  authenticateToken,
+  requirePermission("users:write"),
+  validate({ params: idParams }),
   async (req, res) => {
     try {
-      const {
-        patientName,
-        patientAge,
-        bloodTypeNeeded,
-        gender,
-        unitsRequired,
-        hospitalName,
-        medicalReason,
-        collegeRollNumber,
-        collegeEmail,
-        contactNumber,
-        isEmergency,
-      } = req.body;
-
-      let hospitalReportsFileId = null;
-
-      // Handle file upload to GridFS
-      if (req.file) {
-        const uploadStream = gfsBucket.openUploadStream(req.file.originalname, {
-          contentType: req.file.mimetype,
-        });
+      const invitation = await StaffInvitation.findById(req.params.id);
 
-        uploadStream.end(req.file.buffer);
-        hospitalReportsFileId = uploadStream.id;
+      if (!invitation || invitation.acceptedAt || invitation.revokedAt) {
+        return sendError(res, 404, "NOT_FOUND", "Open invitation not found");
       }
 
-      const bloodRequest = new BloodRequest({
-        patientName,
-        patientAge: parseInt(patientAge),
-        bloodTypeNeeded,
-        gender,
-        unitsRequired: parseInt(unitsRequired),
-        hospitalName,
-        medicalReason,
-        collegeRollNumber,
-        collegeEmail,
-        contactNumber,
-        isEmergency: isEmergency === "true",
-        hospitalReportsFileId,
-      });
-
-      await bloodRequest.save();
-
-      // Create notification for emergency requests
-      if (bloodRequest.isEmergency) {
-        await createNotification(
-          "emergency_request",
-          "Emergency Blood Request",
-          `Urgent: ${bloodRequest.unitsRequired} units of ${bloodRequest.bloodTypeNeeded} needed for ${bloodRequest.patientName}`,
-          bloodRequest._id
-        );
-      }
+      invitation.revokedAt = new Date();
+      await invitation.save();
 
-      res.status(201).json({
-        message: "Blood request submitted successfully",
-        request: bloodRequest,
-      });
+      res.json({ message: "Invitation revoked" });
     } catch (error) {
       res
         .status(500)
-        .json({ message: "Error submitting request", error: error.message });
+        .json({ message: "Error revoking invitation", error: error.message });
     }
   }
 );
 
-// Get all blood requests (Admin only)
-app.get("/api/requests", authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    const status = req.query.status;
-
-    let query = {};
-    if (status && status !== "all") {
-      query.status = status;
-    }
-
-    const requests = await BloodRequest.find(query)
-      .sort({ requestedAt: -1 })
-      .skip(skip)
-      .limit(limit);
+// 9. SCHEDULED JOB ROUTES
 
-    const total = await BloodRequest.countDocuments(query);
+const jobParams = { name: rules.oneOf(Object.keys(JOB_DEFINITIONS), required) };
 
-    res.json({
-      requests,
-      pagination: {
-        current: page,
-        total: Math.ceil(total / limit),
-        count: requests.length,
-        totalRequests: total,
-      },
-    });
-  } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Error fetching requests", error: error.message });
-  }
+// What admins see of a job; recentRuns only on request
+const formatJob = (job, withHistory = false) => ({
+  name: job.name,
+  description: JOB_DEFINITIONS[job.name].description,
+  schedule: job.schedule,
+  enabled: job.enabled,
+  nextRunAt: job.enabled ? job.nextRunAt : null,
+  running: Boolean(job.lockedUntil && job.lockedUntil > new Date()),
+  lastRun: job.lastRun || null,
+  runCount: job.runCount,
+  failureCount: job.failureCount,
+  ...(withHistory && { recentRuns: job.recentRuns }),
 });
 
-// Update request status (Admin only)
-app.put(
-  "/api/requests/:id/status",
+// Get all jobs with their schedule and last run (jobs:read)
+app.get(
+  "/api/jobs",
   authenticateToken,
-  requireAdmin,
+  requirePermission("jobs:read"),
+  validate({}),
   async (req, res) => {
     try {
-      const { id } = req.params;
-      const { status, adminNotes } = req.body;
-
-      const request = await BloodRequest.findByIdAndUpdate(
-        id,
-        {
-          status,
-          adminNotes,
-          updatedAt: new Date(),
-        },
-        { new: true }
-      );
+      const jobs = await ScheduledJob.find({
+        name: { $in: Object.keys(JOB_DEFINITIONS) },
+      })
+        .select("-recentRuns")
+        .sort({ name: 1 });
 
-      if (!request) {
-        return res.status(404).json({ message: "Request not found" });
-      }
+      res.json(jobs.map((job) => formatJob(job)));
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching jobs", error: error.message });
+    }
+  }
+);
 
-      // If approved/fulfilled, update inventory
-      if (status === "fulfilled") {
-        await BloodInventory.findOneAndUpdate(
-          { bloodType: request.bloodTypeNeeded },
-          {
-            $inc: { unitsAvailable: -request.unitsRequired },
-            lastUpdated: new Date(),
-          }
-        );
+// Get a job with its recent runs (jobs:read)
+app.get(
+  "/api/jobs/:name",
+  authenticateToken,
+  requirePermission("jobs:read"),
+  validate({ params: jobParams }),
+  async (req, res) => {
+    try {
+      const job = await ScheduledJob.findOne({ name: req.params.name });
 
-        // Check for low stock after fulfilling request
-        await checkLowStock();
+      if (!job) {
+        return sendError(res, 404, "NOT_FOUND", "Job not found");
       }
 
-      res.json(request);
+      res.json(formatJob(job, true));
     } catch (error) {
       res
         .status(500)
-        .json({ message: "Error updating request", error: error.message });
+        .json({ message: "Error fetching job", error: error.message });
     }
   }
 );
 
-// 5. FILE MANAGEMENT ROUTES
-
-// Get uploaded file
-app.get("/api/files/:id", authenticateToken, (req, res) => {
-  try {
-    const fileId = new mongoose.Types.ObjectId(req.params.id);
+// Run a job now (jobs:write)
+// Waits for the run to finish; the schedule is not changed
+app.post(
+  "/api/jobs/:name/run",
+  authenticateToken,
+  requirePermission("jobs:write"),
+  validate({ params: jobParams }),
+  async (req, res) => {
+    try {
+      const job = await claimJob({ name: req.params.name });
 
-    gfsBucket.find({ _id: fileId }).toArray((err, files) => {
-      if (err || !files || files.length === 0) {
-        return res.status(404).json({ message: "File not found" });
+      if (!job) {
+        const exists = await ScheduledJob.exists({ name: req.params.name });
+        return exists
+          ? sendError(res, 409, "CONFLICT", "Job is already running")
+          : sendError(res, 404, "NOT_FOUND", "Job not found");
       }
 
-      const file = files[0];
+      const run = await runJob(job, "manual", req.user.userId);
 
-      // Set appropriate headers
-      res.set({
-        "Content-Type": file.contentType,
-        "Content-Disposition": `inline; filename="${file.filename}"`,
+      res.json({
+        message: run.status === "succeeded" ? "Job finished" : "Job failed",
+        run,
       });
-
-      // Create download stream
-      const downloadStream = gfsBucket.openDownloadStream(fileId);
-      downloadStream.pipe(res);
-    });
-  } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Error fetching file", error: error.message });
-  }
-});
-
-// 6. NOTIFICATION ROUTES
-
-// Get notifications
-app.get("/api/notifications", authenticateToken, async (req, res) => {
-  try {
-    const { role } = req.user;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    let query = {
-      $or: [
-        { targetAudience: "all" },
-        { targetAudience: role === "admin" ? "admins" : "donors" },
-      ],
-    };
-
-    const notifications = await Notification.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Notification.countDocuments(query);
-
-    res.json({
-      notifications,
-      pagination: {
-        current: page,
-        total: Math.ceil(total / limit),
-        count: notifications.length,
-      },
-    });
-  } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Error fetching notifications", error: error.message });
-  }
-});
-
-// Mark notification as read
-app.put("/api/notifications/:id/read", authenticateToken, async (req, res) => {
-  try {
-    const notification = await Notification.findByIdAndUpdate(
-      req.params.id,
-      { isRead: true },
-      { new: true }
-    );
-
-    if (!notification) {
-      return res.status(404).json({ message: "Notification not found" });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error running job", error: error.message });
     }
-
-    res.json(notification);
-  } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Error updating notification", error: error.message });
   }
-});
-
-// 7. DASHBOARD ROUTES
+);
 
-// Get dashboard stats (Admin only)
-app.get(
-  "/api/dashboard/stats",
+// Pause or resume a job's schedule (jobs:write)
+// Paused jobs can still be run by hand
+app.put(
+  "/api/jobs/:name",
   authenticateToken,
-  requireAdmin,
+  requirePermission("jobs:write"),
+  validate({
+    params: jobParams,
+    body: { enabled: rules.boolean(required) },
+  }),
   async (req, res) => {
     try {
-      const [
-        totalDonors,
-        totalRequests,
-        pendingRequests,
-        emergencyRequests,
-        lowStockCount,
-      ] = await Promise.all([
-        Donor.countDocuments(),
-        BloodRequest.countDocuments(),
-        BloodRequest.countDocuments({ status: "pending" }),
-        BloodRequest.countDocuments({
-          isEmergency: true,
-          status: { $in: ["pending", "approved"] },
-        }),
-        BloodInventory.countDocuments({
-          $expr: { $lt: ["$unitsAvailable", "$lowStockThreshold"] },
-        }),
-      ]);
+      const job = await ScheduledJob.findOne({ name: req.params.name });
 
-      const inventoryStats = await BloodInventory.find().select(
-        "bloodType unitsAvailable donorCount"
-      );
+      if (!job) {
+        return sendError(res, 404, "NOT_FOUND", "Job not found");
+      }
+
+      job.enabled = req.body.enabled;
+      // Resuming picks up from now rather than running missed times
+      if (job.enabled) job.nextRunAt = nextCronTime(job.schedule, new Date());
+      await job.save();
 
       res.json({
-        totalDonors,
-        totalRequests,
-        pendingRequests,
-        emergencyRequests,
-        lowStockCount,
-        inventoryStats,
+        message: job.enabled ? "Job resumed" : "Job paused",
+        job: formatJob(job),
       });
     } catch (error) {
-      res.status(500).json({
-        message: "Error fetching dashboard stats",
-        error: error.message,
-      });
+      res
+        .status(500)
+        .json({ message: "Error updating job", error: error.message });
     }
   }
 );
 
 // Error handling middleware
+// Upload and body parsing problems are the client's, so they get a 4xx in the
+// same shape as validation errors
 app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    const tooLarge = error.code === "LIMIT_FILE_SIZE";
+    return sendError(
+      res,
+      tooLarge ? 413 : 400,
+      tooLarge ? "FILE_TOO_LARGE" : "INVALID_UPLOAD",
+      tooLarge ? `Files must be at most ${MAX_UPLOAD_MB}MB` : error.message,
+      [{ location: "body", field: error.field, message: error.message }]
+    );
+  }
+
+  if (error.type === "entity.parse.failed") {
+    return sendError(
+      res,
+      400,
+      "INVALID_JSON",
+      "Request body is not valid JSON",
+      [{ location: "body", field: "body", message: error.message }]
+    );
+  }
+
+  if (error.type === "entity.too.large") {
+    return sendError(
+      res,
+      413,
+      "PAYLOAD_TOO_LARGE",
+      "Request body is too large"
+    );
+  }
+
   console.error("Error:", error);
-  res
-    .status(500)
-    .json({ message: "Internal server error", error: error.message });
+  res.status(500).json({
+    code: "INTERNAL_ERROR",
+    message: "Internal server error",
+    error: error.message,
+  });
 });
 
 // 404 handler
 app.use("*", (req, res) => {
-  res.status(404).json({ message: "Route not founds" });
+  sendError(res, 404, "NOT_FOUND", "Route not found");
 });
 
 const PORT = process.env.PORT || 5001;